@@ -11,7 +11,7 @@
  * - Router: 0x9EED... instead of 0xBEE3...
  */
 
-import { createPublicClient, createWalletClient, http, parseUnits, formatUnits, erc20Abi } from 'viem';
+import { createPublicClient, createWalletClient, http, parseUnits, formatUnits, erc20Abi, encodeFunctionData, keccak256 } from 'viem';
 import { bsc } from 'viem/chains';
 import { privateKeyToAccount } from 'viem/accounts';
 
@@ -133,12 +133,38 @@ const moniBotRouterAbi = [
   }
 ];
 
+// ============ Signing ============
+
+/**
+ * Sign a router call locally and hand its hash to `onBroadcast` before the
+ * raw transaction is sent, so callers can journal the hash first. A crash at
+ * any point after the callback leaves a hash recovery can look up on-chain.
+ */
+async function signAndBroadcast({ functionName, args, gas }, onBroadcast) {
+  const request = await walletClient.prepareTransactionRequest({
+    to: MONIBOT_ROUTER_ADDRESS,
+    data: encodeFunctionData({ abi: moniBotRouterAbi, functionName, args }),
+    gas
+  });
+  
+  const serializedTransaction = await walletClient.signTransaction(request);
+  const hash = keccak256(serializedTransaction);
+  
+  if (onBroadcast) {
+    await onBroadcast(hash);
+  }
+  
+  await walletClient.sendRawTransaction({ serializedTransaction });
+  return hash;
+}
+
 // ============ Core Functions ============
 
 /**
- * Execute a P2P transfer via the MoniBotRouter contract on BSC
+ * Execute a P2P transfer via the MoniBotRouter contract on BSC.
+ * `onBroadcast({ hash, fee })` runs after signing, before the tx is sent.
  */
-export async function executeP2PViaRouter(fromAddress, toAddress, amount, tweetId) {
+export async function executeP2PViaRouter(fromAddress, toAddress, amount, tweetId, { onBroadcast } = {}) {
   const amountInUnits = parseUnits(amount.toFixed(18), TOKEN_DECIMALS);
   
   // --- 1. PRE-FLIGHT CHECKS ---
@@ -239,24 +265,26 @@ export async function executeP2PViaRouter(fromAddress, toAddress, amount, tweetI
 
   const gasLimit = gas + gas / 5n; // +20% buffer
 
-  const hash = await walletClient.writeContract({
-    address: MONIBOT_ROUTER_ADDRESS,
-    abi: moniBotRouterAbi,
+  const hash = await signAndBroadcast({
     functionName: 'executeP2P',
     args: [fromAddress, toAddress, amountInUnits, nonce, tweetId],
     gas: gasLimit,
-  });
+  }, onBroadcast && ((txHash) => onBroadcast({ hash: txHash, fee: feeAmount })));
 
-  await publicClient.waitForTransactionReceipt({ hash });
+  const receipt = await publicClient.waitForTransactionReceipt({ hash });
+  if (receipt.status !== 'success') {
+    throw new Error(`ERROR_TX_REVERTED:${hash}`);
+  }
   console.log(`     ✅ P2P executed on BSC. Hash: ${hash}`);
 
   return { hash, fee: feeAmount };
 }
 
 /**
- * Execute a campaign grant via the MoniBotRouter contract on BSC
+ * Execute a campaign grant via the MoniBotRouter contract on BSC.
+ * `onBroadcast({ hash, fee })` runs after signing, before the tx is sent.
  */
-export async function executeGrantViaRouter(toAddress, amount, campaignId) {
+export async function executeGrantViaRouter(toAddress, amount, campaignId, { onBroadcast } = {}) {
   const amountInUnits = parseUnits(amount.toFixed(18), TOKEN_DECIMALS);
 
   // --- 1. PRE-FLIGHT CHECKS ---
@@ -340,20 +368,44 @@ export async function executeGrantViaRouter(toAddress, amount, campaignId) {
 
   const gasLimit = gas + gas / 5n; // +20% buffer
 
-  const hash = await walletClient.writeContract({
-    address: MONIBOT_ROUTER_ADDRESS,
-    abi: moniBotRouterAbi,
+  const hash = await signAndBroadcast({
     functionName: 'executeGrant',
     args: [toAddress, amountInUnits, campaignId],
     gas: gasLimit,
-  });
+  }, onBroadcast && ((txHash) => onBroadcast({ hash: txHash, fee: feeAmount })));
 
-  await publicClient.waitForTransactionReceipt({ hash });
+  const receipt = await publicClient.waitForTransactionReceipt({ hash });
+  if (receipt.status !== 'success') {
+    throw new Error(`ERROR_TX_REVERTED:${hash}`);
+  }
   console.log(`     ✅ Grant executed on BSC. Hash: ${hash}`);
 
   return { hash, fee: feeAmount };
 }
 
+// ============ Error Mapping ============
+
+/**
+ * Map an executeP2PViaRouter error to the code logged in monibot_transactions.
+ */
+export function getP2PErrorCode(message) {
+  if (message.includes('ERROR_DUPLICATE_TWEET')) return 'ERROR_DUPLICATE_TWEET';
+  if (message.includes('ERROR_BALANCE')) return 'ERROR_BALANCE';
+  if (message.includes('ERROR_ALLOWANCE')) return 'ERROR_ALLOWANCE';
+  if (message.includes('ERROR_TX_REVERTED')) return 'ERROR_TX_REVERTED';
+  return 'ERROR_BLOCKCHAIN';
+}
+
+/**
+ * Map an executeGrantViaRouter error to the code logged in monibot_transactions.
+ */
+export function getGrantErrorCode(message) {
+  if (message.includes('ERROR_DUPLICATE_GRANT')) return 'ERROR_DUPLICATE_GRANT';
+  if (message.includes('ERROR_CONTRACT_BALANCE') || message.includes('insufficient')) return 'ERROR_TREASURY_EMPTY';
+  if (message.includes('ERROR_TX_REVERTED')) return 'ERROR_TX_REVERTED';
+  return 'ERROR_BLOCKCHAIN';
+}
+
 // ============ View Functions ============
 
 export async function getUserNonce(userAddress) {
@@ -405,6 +457,72 @@ export async function isGrantAlreadyIssued(campaignId, recipientAddress) {
   });
 }
 
+/**
+ * Look up a previously signed router tx. Resolves to 'confirmed', 'reverted',
+ * or 'unknown' when no receipt shows up within `timeoutMs` (not mined yet,
+ * dropped, or never broadcast).
+ */
+export async function getTransactionOutcome(hash, timeoutMs = 60000) {
+  try {
+    const receipt = await publicClient.waitForTransactionReceipt({ hash, timeout: timeoutMs });
+    return receipt.status === 'success' ? 'confirmed' : 'reverted';
+  } catch (err) {
+    if (err.name === 'WaitForTransactionReceiptTimeoutError') {
+      return 'unknown';
+    }
+    throw err;
+  }
+}
+
+/**
+ * Hash of a mined block, or null when the chain has not reached it yet.
+ */
+export async function getBlockHash(blockNumber) {
+  const latest = await publicClient.getBlockNumber();
+  if (BigInt(blockNumber) > latest) {
+    return null;
+  }
+  const block = await publicClient.getBlock({ blockNumber: BigInt(blockNumber) });
+  return block.hash;
+}
+
+/**
+ * Number of the first block whose timestamp is at or after `timestampMs`,
+ * or null when no such block has been mined yet. Steps back from the latest
+ * block until it passes the target, then binary searches that range.
+ */
+export async function getFirstBlockAtOrAfter(timestampMs) {
+  const target = BigInt(Math.ceil(timestampMs / 1000));
+  const latest = await publicClient.getBlock({ blockTag: 'latest' });
+  if (latest.timestamp < target) {
+    return null;
+  }
+
+  let hi = latest.number;
+  let lo = hi;
+  let step = 64n;
+  while (lo > 0n) {
+    lo = hi > step ? hi - step : 0n;
+    const block = await publicClient.getBlock({ blockNumber: lo });
+    if (block.timestamp < target) break;
+    hi = lo;
+    step *= 2n;
+  }
+
+  // Invariant: block `hi` is at/after the target, block `lo` is before it (or genesis)
+  while (hi - lo > 1n) {
+    const mid = (lo + hi) / 2n;
+    const block = await publicClient.getBlock({ blockNumber: mid });
+    if (block.timestamp >= target) {
+      hi = mid;
+    } else {
+      lo = mid;
+    }
+  }
+
+  return hi;
+}
+
 export async function calculateFee(amount) {
   const amountInUnits = parseUnits(amount.toFixed(18), TOKEN_DECIMALS);
   
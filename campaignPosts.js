@@ -0,0 +1,172 @@
+/**
+ * MoniBot BSC Worker - Scheduled Campaign Posts
+ *
+ * Executes 'campaign_post' jobs. Each job inserts a BSC campaigns row as
+ * 'draft', hands the message to the configured publisher, and activates the
+ * campaign only once the publisher returns the tweet_id replies will be
+ * searched under. A failed publish rolls the campaign back to 'draft' and
+ * the job retries with the same row.
+ *
+ * Publishers are pluggable: registerCampaignPublisher(name, publish, { live }),
+ * where publish({ message, campaign, job }) resolves to the posted tweet id.
+ * CAMPAIGN_PUBLISHER selects one ('stub' by default, or 'twitter'). A
+ * publisher registered with `live: false` posts nothing, so its campaigns
+ * are left as 'draft' rather than activated under a tweet that does not exist.
+ */
+
+import {
+  getSupabase,
+  getCampaignById,
+  createDraftCampaign,
+  updateCampaign
+} from './database.js';
+import { postTweet } from './twitter.js';
+import { registerJobHandler } from './scheduler.js';
+
+const CAMPAIGN_PUBLISHER = process.env.CAMPAIGN_PUBLISHER || 'stub';
+
+// ============ Publishers ============
+
+const publishers = new Map();
+
+export function registerCampaignPublisher(name, publish, { live = true } = {}) {
+  publishers.set(name, { publish, live });
+}
+
+// Local stand-in: logs the post without write access to X. Nothing is
+// posted, so its campaigns stay in draft.
+registerCampaignPublisher('stub', async ({ message }) => {
+  console.log(`   📝 [stub publisher] Would post: "${message}"`);
+}, { live: false });
+
+registerCampaignPublisher('twitter', async ({ message }) => postTweet(message));
+
+// ============ Execution ============
+
+function getExpiresAt(payload, activatedAt) {
+  if (payload.expires_at) {
+    return new Date(payload.expires_at).toISOString();
+  }
+  if (payload.duration_hours) {
+    return new Date(activatedAt.getTime() + payload.duration_hours * 60 * 60 * 1000).toISOString();
+  }
+  return null;
+}
+
+// Progress is kept in the job payload so a retry neither creates a second
+// campaign nor posts the same campaign twice. Throws when it cannot be saved,
+// since the retry would then repeat the step.
+async function saveJobProgress(job, fields) {
+  job.payload = { ...job.payload, ...fields };
+
+  const supabase = getSupabase();
+  const { error } = await supabase
+    .from('scheduled_jobs')
+    .update({ payload: job.payload })
+    .eq('id', job.id);
+
+  if (error) {
+    throw new Error(`Could not save progress for job ${job.id}: ${error.message}`);
+  }
+}
+
+/**
+ * The job's draft campaign: reused from payload.campaign_id on retries,
+ * created on the first attempt.
+ */
+async function getOrCreateDraft(job) {
+  const { payload } = job;
+
+  if (payload.campaign_id) {
+    const existing = await getCampaignById(payload.campaign_id);
+    if (existing) return existing;
+  }
+
+  const campaign = await createDraftCampaign({
+    message: payload.message,
+    budgetAllocated: payload.budget,
+    grantAmount: payload.grant_amount,
+    maxParticipants: payload.max_participants || null,
+    aiEvaluation: !!payload.ai_evaluation
+  });
+
+  await saveJobProgress(job, { campaign_id: campaign.id });
+  return campaign;
+}
+
+async function executeCampaignPost(job, { signal } = {}) {
+  const { payload } = job;
+  const { message, budget, grant_amount, max_participants } = payload;
+
+  if (!message || !(budget > 0) || !(grant_amount > 0)) {
+    throw new Error(`campaign_post job ${job.id} needs message, budget and grant_amount`);
+  }
+
+  const publisher = publishers.get(CAMPAIGN_PUBLISHER);
+  if (!publisher) {
+    throw new Error(`Unknown CAMPAIGN_PUBLISHER "${CAMPAIGN_PUBLISHER}"`);
+  }
+
+  console.log(`📢 Executing campaign post: "${message.substring(0, 50)}..."`);
+
+  const campaign = await getOrCreateDraft(job);
+
+  if (campaign.status === 'active' && campaign.tweet_id) {
+    console.log(`   ⏭️ Campaign ${campaign.id.substring(0, 8)} already live as ${campaign.tweet_id}`);
+    return { type: 'campaign_post', campaign_id: campaign.id, tweet_id: campaign.tweet_id, publisher: CAMPAIGN_PUBLISHER };
+  }
+
+  if (!publisher.live) {
+    await publisher.publish({ message, campaign, job });
+    console.log(`   📝 Campaign ${campaign.id.substring(0, 8)} left as draft: the ${CAMPAIGN_PUBLISHER} publisher posts nothing`);
+    return { type: 'campaign_post', campaign_id: campaign.id, tweet_id: null, publisher: CAMPAIGN_PUBLISHER, activated: false };
+  }
+
+  let tweetId = job.payload.published_tweet_id || campaign.tweet_id;
+  if (!tweetId) {
+    // A lost lease means another worker may be publishing this campaign
+    signal?.throwIfAborted();
+    await updateCampaign(campaign.id, { status: 'publishing' });
+
+    try {
+      tweetId = await publisher.publish({ message, campaign, job });
+      if (!tweetId) {
+        throw new Error('Publisher returned no tweet_id');
+      }
+    } catch (error) {
+      console.error(`   ❌ Publish failed (${CAMPAIGN_PUBLISHER}):`, error.message);
+      await updateCampaign(campaign.id, { status: 'draft' });
+      throw error;
+    }
+
+    // Kept on the campaign row as well, so a retry after either write fails
+    // activates the posted tweet instead of posting it again
+    await updateCampaign(campaign.id, { tweet_id: String(tweetId) });
+    await saveJobProgress(job, { published_tweet_id: String(tweetId) });
+  }
+
+  const activatedAt = new Date();
+  const activated = await updateCampaign(campaign.id, {
+    status: 'active',
+    tweet_id: String(tweetId),
+    expires_at: getExpiresAt(payload, activatedAt)
+  });
+
+  if (!activated) {
+    throw new Error(`Campaign ${campaign.id} was published as ${tweetId} but could not be activated`);
+  }
+
+  console.log(`   ✅ Campaign ${campaign.id.substring(0, 8)} live on BSC as tweet ${tweetId}`);
+
+  return {
+    type: 'campaign_post',
+    campaign_id: campaign.id,
+    tweet_id: String(tweetId),
+    publisher: CAMPAIGN_PUBLISHER,
+    budget,
+    grant_amount,
+    max_participants
+  };
+}
+
+registerJobHandler('bsc', 'campaign_post', { capability: 'social', handler: executeCampaignPost });
@@ -0,0 +1,140 @@
+/**
+ * MoniBot BSC Worker - Campaign Eligibility Rules
+ *
+ * Anti-sybil rules a campaign can declare in `campaigns.eligibility_rules`,
+ * a JSON list evaluated before a reply is granted:
+ *
+ *   [{ "type": "min_account_age_days", "value": 30 },
+ *    { "type": "min_followers", "value": 50 },
+ *    { "type": "author_is_owner" },
+ *    { "type": "max_grants_per_wallet", "value": 3 },
+ *    { "type": "required_hashtag", "value": "#MoniPay" },
+ *    { "type": "required_keyword", "value": "gm" },
+ *    { "type": "must_follow", "value": "monipay" }]
+ *
+ * Every rule must pass. The first failure is returned with its own SKIP_RULE_*
+ * code; an unknown rule type fails closed with SKIP_RULE_INVALID. Rules run
+ * cheapest first, so the follow lookup is only spent on otherwise eligible
+ * replies.
+ */
+
+import { countGrantsForWallet, getProfileByXAuthor, isAmbiguousProfileError } from './database.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RULE_SKIP_CODES = {
+  required_hashtag: 'SKIP_RULE_HASHTAG',
+  required_keyword: 'SKIP_RULE_KEYWORD',
+  min_account_age_days: 'SKIP_RULE_ACCOUNT_AGE',
+  min_followers: 'SKIP_RULE_FOLLOWERS',
+  author_is_owner: 'SKIP_RULE_NOT_OWNER',
+  max_grants_per_wallet: 'SKIP_RULE_WALLET_GRANTS',
+  must_follow: 'SKIP_RULE_NOT_FOLLOWING'
+};
+
+// Evaluation order, cheapest first (the keys above are listed in this order)
+const RULE_ORDER = Object.keys(RULE_SKIP_CODES);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Each check resolves to null when the rule passes, or the failure reason.
+ */
+const CHECKS = {
+  required_hashtag: async ({ value }, { reply }) => {
+    const tag = String(value).replace(/^#/, '');
+    return new RegExp(`(?:^|[^\\w#])#${escapeRegex(tag)}(?!\\w)`, 'i').test(reply.text)
+      ? null
+      : `Reply is missing #${tag}`;
+  },
+
+  required_keyword: async ({ value }, { reply }) =>
+    new RegExp(`(?:^|\\W)${escapeRegex(String(value))}(?!\\w)`, 'i').test(reply.text)
+      ? null
+      : `Reply is missing "${value}"`,
+
+  min_account_age_days: async ({ value }, { author }) => {
+    if (!author.created_at) return 'X account age unavailable';
+    const days = (Date.now() - new Date(author.created_at).getTime()) / DAY_MS;
+    return days >= value ? null : `X account is ${Math.floor(days)} days old (minimum ${value})`;
+  },
+
+  min_followers: async ({ value }, { author }) => {
+    const followers = author.public_metrics?.followers_count;
+    if (followers === undefined) return 'Follower count unavailable';
+    return followers >= value ? null : `${followers} followers (minimum ${value})`;
+  },
+
+  author_is_owner: async (rule, { author, targetProfile }) => {
+    const authorProfile = await getProfileByXAuthor(author);
+    return authorProfile?.id === targetProfile.id
+      ? null
+      : `@${author.username} does not own @${targetProfile.pay_tag}`;
+  },
+
+  max_grants_per_wallet: async ({ value }, { targetProfile }) => {
+    // By wallet, so several profiles funnelling grants into one wallet share the cap
+    const grants = await countGrantsForWallet(targetProfile.wallet_address);
+    return grants < value ? null : `Wallet already received ${grants} grant(s) (maximum ${value})`;
+  },
+
+  must_follow: async ({ value }, { author, isFollowing }) => {
+    const username = String(value).replace(/^@/, '');
+    return await isFollowing(author.id, username) ? null : `@${author.username} does not follow @${username}`;
+  }
+};
+
+/**
+ * The campaign's rules as a list, whether the column holds JSON text or an
+ * already-parsed array. Malformed JSON yields one invalid rule, so the
+ * campaign fails closed.
+ */
+export function getCampaignRules(campaign) {
+  const raw = campaign?.eligibility_rules;
+  if (!raw) return [];
+
+  try {
+    const rules = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    return Array.isArray(rules) ? rules : [{ type: 'invalid' }];
+  } catch {
+    return [{ type: 'invalid' }];
+  }
+}
+
+/**
+ * Evaluate a campaign's eligibility rules for one reply.
+ *
+ * @param {object} params
+ * @param {Array} params.rules - from getCampaignRules()
+ * @param {object} params.reply - the reply tweet
+ * @param {object} params.author - reply author with created_at / public_metrics
+ * @param {object} params.targetProfile - the profile the grant would pay
+ * @param {(authorId: string, username: string) => Promise<boolean>} params.isFollowing
+ * @returns {Promise<{code: string, reason: string}|null>} the first failure, or null
+ */
+export async function evaluateCampaignRules({ rules, reply, author, targetProfile, isFollowing }) {
+  const unknown = rules.find(rule => !CHECKS[rule?.type]);
+  if (unknown) {
+    return { code: 'SKIP_RULE_INVALID', reason: `Unknown eligibility rule "${unknown?.type}"` };
+  }
+
+  const ordered = [...rules].sort((a, b) => RULE_ORDER.indexOf(a.type) - RULE_ORDER.indexOf(b.type));
+  const context = { reply, author, targetProfile, isFollowing };
+
+  for (const rule of ordered) {
+    let reason;
+    try {
+      reason = await CHECKS[rule.type](rule, context);
+    } catch (err) {
+      if (isAmbiguousProfileError(err)) throw err;
+      // A lookup failed, not the rule: worth another attempt later
+      return { code: 'ERROR_RULE_CHECK', reason: `${rule.type}: ${err.message}` };
+    }
+
+    if (reason) {
+      return { code: RULE_SKIP_CODES[rule.type], reason };
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,326 @@
+/**
+ * MoniBot BSC Worker - Command Parser
+ *
+ * Tokenizes a P2P command tweet and parses it into a command AST:
+ *
+ *   { ok: true, verb, mode, amount, total, token, recipients: [{ tag, amount }],
+ *     each, allOrNothing, memo, timePhrase, network }
+ *
+ * or { ok: false, reason } with one of the SKIP_* reason codes below.
+ *
+ * Grammar (after the first send/pay/split/request verb; mentions before it
+ * are reply context and ignored):
+ *
+ *   clause   := amount-first | mention-first | split
+ *   amount-first  := (AMOUNT ["each"] ["to"] MENTION+)+       "send $5 to @a"
+ *   mention-first := (MENTION+ AMOUNT ["each"])+              "pay @a $5, @b $3"
+ *   split         := "split" AMOUNT "between" MENTION+        "split $30 between @a @b"
+ *   request       := "request" AMOUNT "from" MENTION           "request $20 from @a"
+ *   AMOUNT   := "$1,000" | "$0.50" | "5.5usdt" | "10 usd" | "2k" | a bare
+ *               number right after the verb or a recipient; "5 bnb" (another
+ *               token) and exponents like "$1e5" are rejected
+ *   memo     := "for" words...                                  "for dinner"
+ *   schedule := time cue or recurrence phrase to the end of the tweet
+ *
+ * The memo and schedule are cut off before amounts are read, so numbers in
+ * "for 2 pizzas" or "at 9am" are never taken as amounts.
+ *
+ * mode is 'each' (same amount to everyone), 'per_recipient' or 'split'.
+ * amount is null unless every recipient gets the same amount; total is
+ * always the sum of the recipient amounts. allOrNothing is set by an
+ * "all or nothing" anywhere in the tweet.
+ */
+
+import { findTimeCueIndex, extractTimePhrase, findRecurrenceIndex } from './scheduler.js';
+
+export const PARSE_REASONS = {
+  NO_VERB: 'SKIP_NO_VERB',
+  NO_RECIPIENT: 'SKIP_NO_RECIPIENT',
+  NO_AMOUNT: 'SKIP_NO_AMOUNT',
+  INVALID_AMOUNT: 'SKIP_INVALID_AMOUNT',
+  AMBIGUOUS_AMOUNT: 'SKIP_AMBIGUOUS_AMOUNT',
+  UNSUPPORTED_TOKEN: 'SKIP_UNSUPPORTED_TOKEN'
+};
+
+const VERBS = new Set(['send', 'pay', 'split', 'request']);
+const UNITS = { usdt: 'USDT', usdc: 'USDC', usd: 'USD' };
+// Tokens MoniBot cannot pay in; "send 5 bnb" is refused rather than paid in USDT
+const UNSUPPORTED_UNITS = new Set(['bnb', 'eth', 'btc', 'sol']);
+const NETWORK_HINTS = {
+  bsc: 'bsc',
+  bnb: 'bsc',
+  binance: 'bsc',
+  base: 'base',
+  tempo: 'tempo',
+  alphausd: 'tempo'
+};
+const ALL_OR_NOTHING_REGEX = /\ball[\s-]+or[\s-]+nothing\b/i;
+const IGNORED_MENTIONS = new Set(['monibot', 'monipay']);
+
+const MAX_AMOUNT_DECIMALS = 6;
+
+// ============ Tokenizer ============
+
+const TOKEN_PATTERNS = [
+  ['mention', /@([a-zA-Z0-9_-]+)/y],
+  ['number', /(\$\s?)?((?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?|\.\d+)(k(?![a-z]))?(e[+-]?\d+)?/iy],
+  ['word', /[a-zA-Zα]+/y],
+  ['punct', /[,&;:]/y]
+];
+
+/**
+ * Split a tweet into mention, number, word and punct tokens. Each token keeps
+ * its character offset so the parser can cut the text at memo/schedule cues.
+ */
+export function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < text.length) {
+    if (/\s/.test(text[pos])) {
+      pos++;
+      continue;
+    }
+
+    let matched = false;
+    for (const [type, pattern] of TOKEN_PATTERNS) {
+      pattern.lastIndex = pos;
+      const match = pattern.exec(text);
+      if (!match) continue;
+
+      const token = { type, raw: match[0], index: pos };
+      if (type === 'mention') {
+        token.value = match[1].toLowerCase();
+      } else if (type === 'number') {
+        token.dollar = !!match[1];
+        token.digits = match[2];
+        token.thousands = !!match[3];
+        token.exponent = !!match[4];
+      } else {
+        token.value = match[0].toLowerCase();
+      }
+
+      tokens.push(token);
+      pos += match[0].length;
+      matched = true;
+      break;
+    }
+
+    if (!matched) pos++;
+  }
+
+  return tokens;
+}
+
+// ============ Parser ============
+
+function parseAmountToken(token) {
+  // "$1e5" is not an amount anyone types by accident
+  if (token.exponent) return NaN;
+
+  const [whole, fraction = ''] = token.digits.replace(/,/g, '').split('.');
+  if (fraction.length > MAX_AMOUNT_DECIMALS) return NaN;
+
+  const value = parseFloat(`${whole || '0'}.${fraction || '0'}`) * (token.thousands ? 1000 : 1);
+  return Number(value.toFixed(MAX_AMOUNT_DECIMALS));
+}
+
+function findScheduleIndex(text) {
+  const cues = [findTimeCueIndex(text), findRecurrenceIndex(text)].filter(i => i >= 0);
+  return cues.length ? Math.min(...cues) : -1;
+}
+
+/**
+ * Pair amounts with recipients. Amount-first clauses apply each amount to the
+ * mentions after it; mention-first clauses apply it to the mentions before it.
+ */
+function bindAmounts(items) {
+  const amountFirst = items[0].kind === 'amount';
+  const recipients = [];
+  let pendingTags = [];
+  let currentAmount = null;
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    if (item.kind === 'mention') {
+      if (amountFirst) {
+        recipients.push({ tag: item.tag, amount: currentAmount });
+      } else {
+        pendingTags.push(item.tag);
+      }
+      continue;
+    }
+
+    if (amountFirst) {
+      // "send $5 $6 to @a" names an amount with nobody after it
+      if (items[i - 1]?.kind === 'amount') return null;
+      currentAmount = item.value;
+    } else {
+      if (pendingTags.length === 0) return null;
+      recipients.push(...pendingTags.map(tag => ({ tag, amount: item.value })));
+      pendingTags = [];
+    }
+  }
+
+  // "pay @a $5 @b" leaves @b without an amount
+  if (pendingTags.length > 0) return null;
+  // "send $5 to @a $6" names an amount with nobody after it
+  if (amountFirst && items[items.length - 1].kind === 'amount') return null;
+
+  return recipients;
+}
+
+/**
+ * Divide a total into `count` shares in whole cents. The remainder cents go
+ * one each to the first shares, so the shares always add up to the total.
+ * Returns null when the total has sub-cent precision or is under a cent a head.
+ */
+export function splitAmount(total, count) {
+  const cents = Math.round(total * 100);
+  if (Math.abs(cents - total * 100) > 1e-6 || cents < count) return null;
+
+  const base = Math.floor(cents / count);
+  const remainder = cents % count;
+  return Array.from({ length: count }, (_, i) => (base + (i < remainder ? 1 : 0)) / 100);
+}
+
+function dedupeRecipients(recipients) {
+  const byTag = new Map();
+  for (const recipient of recipients) {
+    const existing = byTag.get(recipient.tag);
+    if (!existing) {
+      byTag.set(recipient.tag, recipient);
+    } else if (existing.amount !== recipient.amount) {
+      return null;
+    }
+  }
+  return [...byTag.values()];
+}
+
+/**
+ * Parse a command tweet. See the module header for the grammar.
+ */
+export function parseCommand(text) {
+  const tokens = tokenize(text);
+  const verbPos = tokens.findIndex(t => t.type === 'word' && VERBS.has(t.value));
+  if (verbPos === -1) {
+    return { ok: false, reason: PARSE_REASONS.NO_VERB };
+  }
+
+  const verb = tokens[verbPos].value;
+
+  const scheduleIndex = findScheduleIndex(text);
+  const timePhrase = scheduleIndex >= 0 ? extractTimePhrase(text.substring(scheduleIndex)) || text.substring(scheduleIndex).trim() : null;
+  const clauseEnd = scheduleIndex >= 0 ? scheduleIndex : text.length;
+
+  const memoPos = tokens.findIndex((t, i) =>
+    i > verbPos && t.index < clauseEnd && t.type === 'word' && t.value === 'for' &&
+    tokens[i + 1]?.value !== 'each');
+  const memoStart = memoPos >= 0 ? tokens[memoPos].index : clauseEnd;
+
+  let memo = null;
+  if (memoPos >= 0) {
+    memo = text.substring(memoStart + 3, clauseEnd)
+      .replace(/\bon\s+(?:bsc|bnb|binance|base|tempo)\b/gi, '')
+      .replace(ALL_OR_NOTHING_REGEX, '')
+      .replace(/\s+/g, ' ')
+      .trim() || null;
+  }
+
+  let token = null;
+  let network = null;
+  let each = false;
+  let unsupportedToken = false;
+  const items = [];
+
+  // Network hints come from the command itself ("... on base"), never from
+  // memo words like "for base rent"; an explicit "on <network>" counts anywhere
+  const explicitNetwork = text.match(/\bon\s+(bsc|bnb|binance|base|tempo)\b/i);
+  if (explicitNetwork) {
+    network = NETWORK_HINTS[explicitNetwork[1].toLowerCase()];
+  }
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+
+    if (memoPos >= 0 && t.index >= memoStart) break;
+    if (t.type === 'word' && NETWORK_HINTS[t.value] && !network) {
+      network = NETWORK_HINTS[t.value];
+    }
+    if (i <= verbPos || t.index >= memoStart) continue;
+
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+
+    if (t.type === 'mention') {
+      if (!IGNORED_MENTIONS.has(t.value)) {
+        items.push({ kind: 'mention', tag: t.value });
+      }
+    } else if (t.type === 'number') {
+      if (next?.type === 'word' && UNSUPPORTED_UNITS.has(next.value)) {
+        unsupportedToken = true;
+      }
+      const hasUnit = next?.type === 'word' && UNITS[next.value];
+      const isBare = i === verbPos + 1 || prev?.type === 'mention';
+      if (t.dollar || hasUnit || isBare) {
+        items.push({ kind: 'amount', value: parseAmountToken(t) });
+      }
+    } else if (t.type === 'word') {
+      if (UNITS[t.value] && !token) {
+        token = UNITS[t.value];
+      } else if (t.value === 'each') {
+        each = true;
+      }
+    }
+  }
+
+  if (unsupportedToken) {
+    return { ok: false, reason: PARSE_REASONS.UNSUPPORTED_TOKEN };
+  }
+
+  const amounts = items.filter(item => item.kind === 'amount');
+  if (!items.some(item => item.kind === 'mention')) {
+    return { ok: false, reason: PARSE_REASONS.NO_RECIPIENT };
+  }
+  if (amounts.length === 0) {
+    return { ok: false, reason: PARSE_REASONS.NO_AMOUNT };
+  }
+  if (amounts.some(a => !(a.value > 0))) {
+    return { ok: false, reason: PARSE_REASONS.INVALID_AMOUNT };
+  }
+
+  const bound = bindAmounts(items);
+  let recipients = bound && dedupeRecipients(bound);
+  if (!recipients || recipients.some(r => r.amount === null)) {
+    return { ok: false, reason: PARSE_REASONS.AMBIGUOUS_AMOUNT };
+  }
+
+  if (verb === 'split') {
+    if (amounts.length !== 1 || items[0].kind !== 'amount') {
+      return { ok: false, reason: PARSE_REASONS.AMBIGUOUS_AMOUNT };
+    }
+    const shares = splitAmount(amounts[0].value, recipients.length);
+    if (!shares) {
+      return { ok: false, reason: PARSE_REASONS.INVALID_AMOUNT };
+    }
+    recipients = recipients.map((r, i) => ({ tag: r.tag, amount: shares[i] }));
+  }
+
+  const distinctAmounts = new Set(recipients.map(r => r.amount));
+  const total = Number(recipients.reduce((sum, r) => sum + r.amount, 0).toFixed(MAX_AMOUNT_DECIMALS));
+
+  return {
+    ok: true,
+    verb,
+    mode: verb === 'split' ? 'split' : distinctAmounts.size === 1 ? 'each' : 'per_recipient',
+    amount: distinctAmounts.size === 1 ? recipients[0].amount : null,
+    total,
+    token: token || 'USDT',
+    recipients,
+    each,
+    allOrNothing: ALL_OR_NOTHING_REGEX.test(text),
+    memo,
+    timePhrase,
+    network
+  };
+}
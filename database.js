@@ -8,6 +8,7 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { isRetryableFailure, getNextRetryAt, RETRYABLE_COMMAND_TYPES } from './retryPolicy.js';
 
 let supabase;
 
@@ -34,35 +35,110 @@ export function getSupabase() {
 
 // ============ Profile Lookups ============
 
+// Escape LIKE pattern characters so ILIKE is an exact, case-insensitive
+// match ("a_b" must not match "axb")
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+/**
+ * The single profile matching `filter`, or null. A second match throws
+ * ERROR_AMBIGUOUS_PROFILE rather than letting maybeSingle pick one.
+ */
+async function findUniqueProfile(label, filter) {
+  const { data, error } = await filter(supabase.from('profiles').select('*')).limit(2);
+  
+  if (error) {
+    console.error(`❌ Error fetching profile by ${label}:`, error.message);
+    return null;
+  }
+  
+  if (data.length > 1) {
+    throw new Error(`ERROR_AMBIGUOUS_PROFILE: ${label} matches more than one profile`);
+  }
+  
+  return data[0] || null;
+}
+
+/**
+ * Whether a lookup failed because it matched more than one profile. Callers
+ * log it as its own outcome instead of treating the user as unknown.
+ */
+export function isAmbiguousProfileError(error) {
+  return Boolean(error?.message?.startsWith('ERROR_AMBIGUOUS_PROFILE'));
+}
+
+export async function getProfileByXUserId(xUserId) {
+  return findUniqueProfile(`X user id ${xUserId}`, (query) => query
+    .eq('x_user_id', String(xUserId))
+    .eq('x_verified', true));
+}
+
 export async function getProfileByXUsername(xUsername) {
   const cleanUsername = xUsername.replace('@', '').toLowerCase();
   
-  const { data, error } = await supabase
+  return findUniqueProfile(`X username ${xUsername}`, (query) => query
+    .ilike('x_username', escapeLike(cleanUsername))
+    .eq('x_verified', true));
+}
+
+async function bindXUserId(profileId, xUserId) {
+  const { error } = await supabase
     .from('profiles')
-    .select('*')
-    .ilike('x_username', cleanUsername)
-    .eq('x_verified', true)
-    .maybeSingle();
+    .update({ x_user_id: String(xUserId) })
+    .eq('id', profileId)
+    .is('x_user_id', null);
   
   if (error) {
-    console.error(`❌ Error fetching profile by X username ${xUsername}:`, error.message);
+    console.error(`❌ Error binding X user id for profile ${profileId}:`, error.message);
+  }
+}
+
+/**
+ * Resolve the profile behind a tweet author. The immutable X user id wins,
+ * so a linked user who renamed their handle still resolves. A username match
+ * is only trusted when that profile has no X user id yet (it is bound on
+ * first use) or the ids agree; otherwise the handle now belongs to someone else.
+ *
+ * @param {{id: string, username: string}} author
+ */
+export async function getProfileByXAuthor(author) {
+  if (author.id) {
+    const byId = await getProfileByXUserId(author.id);
+    if (byId) return byId;
+  }
+  
+  const byUsername = await getProfileByXUsername(author.username);
+  if (!byUsername || !author.id) return byUsername;
+  
+  if (byUsername.x_user_id && byUsername.x_user_id !== String(author.id)) {
+    console.warn(`⚠️ @${author.username} (${author.id}) is not the X account linked to profile ${byUsername.id}`);
     return null;
   }
   
-  return data;
+  if (!byUsername.x_user_id) {
+    await bindXUserId(byUsername.id, author.id);
+  }
+  
+  return byUsername;
 }
 
 export async function getProfileByMonitag(payTag) {
   const cleanTag = payTag.replace('@', '').toLowerCase();
 
+  return findUniqueProfile(`PayTag ${payTag}`, (query) => query
+    .ilike('pay_tag', escapeLike(cleanTag)));
+}
+
+export async function getProfileById(profileId) {
   const { data, error } = await supabase
     .from('profiles')
     .select('*')
-    .ilike('pay_tag', cleanTag) 
+    .eq('id', profileId)
     .maybeSingle();
   
   if (error) {
-    console.error(`❌ Error fetching profile by PayTag ${payTag}:`, error.message);
+    console.error(`❌ Error fetching profile ${profileId}:`, error.message);
     return null;
   }
   
@@ -70,18 +146,8 @@ export async function getProfileByMonitag(payTag) {
 }
 
 export async function getProfileByWallet(walletAddress) {
-  const { data, error } = await supabase
-    .from('profiles')
-    .select('*')
-    .ilike('wallet_address', walletAddress)
-    .maybeSingle();
-  
-  if (error) {
-    console.error(`❌ Error fetching profile by wallet ${walletAddress}:`, error.message);
-    return null;
-  }
-  
-  return data;
+  return findUniqueProfile(`wallet ${walletAddress}`, (query) => query
+    .ilike('wallet_address', escapeLike(walletAddress)));
 }
 
 // ============ Deduplication Checks ============
@@ -102,12 +168,39 @@ export async function checkIfAlreadyGranted(campaignId, profileId) {
   return !!data;
 }
 
+/**
+ * Grants paid to a wallet across every campaign, whichever profiles carry it.
+ */
+export async function countGrantsForWallet(walletAddress) {
+  const { data: profiles, error: profileError } = await supabase
+    .from('profiles')
+    .select('id')
+    .ilike('wallet_address', escapeLike(walletAddress));
+  
+  if (profileError) {
+    throw new Error(`Failed to load profiles for wallet ${walletAddress}: ${profileError.message}`);
+  }
+  if (profiles.length === 0) return 0;
+  
+  const { count, error } = await supabase
+    .from('campaign_grants')
+    .select('id', { count: 'exact', head: true })
+    .in('profile_id', profiles.map(p => p.id));
+  
+  if (error) {
+    throw new Error(`Failed to count grants for wallet ${walletAddress}: ${error.message}`);
+  }
+  
+  return count || 0;
+}
+
 export async function checkIfCommandProcessed(tweetId) {
   const { data, error } = await supabase
     .from('monibot_transactions')
     .select('id')
     .eq('tweet_id', tweetId)
     .eq('chain', 'BSC')
+    .not('status', 'in', '(retried,confirmed)')
     .limit(1);
   
   if (error) {
@@ -118,6 +211,64 @@ export async function checkIfCommandProcessed(tweetId) {
   return data && data.length > 0;
 }
 
+// ============ Stream Cursors ============
+
+// Identifies this worker's search cursors and job leases, so a BSC restart
+// (or a second deployment) never shares or clobbers another worker's state.
+export const WORKER_ID = process.env.MONIBOT_WORKER_ID || 'bsc-worker';
+
+/**
+ * Read the persisted since_id for a search stream ('p2p_search',
+ * 'campaign:<tweet_id>', ...) plus any stream-specific pagination state.
+ * A stream with no row yet has a null cursor and empty state.
+ */
+export async function getStreamCursor(stream) {
+  const { data, error } = await supabase
+    .from('monibot_stream_cursors')
+    .select('cursor, state')
+    .eq('worker_id', WORKER_ID)
+    .eq('chain', 'BSC')
+    .eq('stream', stream)
+    .maybeSingle();
+  
+  if (error) {
+    console.error(`❌ Error fetching cursor for ${stream}:`, error.message);
+  }
+  
+  return {
+    cursor: data?.cursor || null,
+    state: data?.state || {}
+  };
+}
+
+/**
+ * Persist a stream's since_id (and optional pagination state). Callers
+ * advance only after every tweet up to `cursor` has been fully handled.
+ */
+export async function advanceStreamCursor(stream, cursor, state = null) {
+  if (!cursor && !state) return;
+  
+  const row = {
+    worker_id: WORKER_ID,
+    chain: 'BSC',
+    stream,
+    cursor,
+    updated_at: new Date().toISOString()
+  };
+  
+  if (state) {
+    row.state = state;
+  }
+  
+  const { error } = await supabase
+    .from('monibot_stream_cursors')
+    .upsert(row, { onConflict: 'worker_id,chain,stream' });
+  
+  if (error) {
+    console.error(`❌ Error advancing cursor for ${stream}:`, error.message);
+  }
+}
+
 // ============ State Updates ============
 
 export async function markAsGranted(campaignId, profileId) {
@@ -132,12 +283,29 @@ export async function markAsGranted(campaignId, profileId) {
   if (error) {
     console.error(`❌ Error marking grant:`, error.message);
   }
+  
+  return !error;
 }
 
 // ============ Transaction Logging ============
 
+// Non-error outcome codes that get their own status instead of 'completed'
+const STATUS_BY_CODE = {
+  LIMIT_REACHED: 'limit_reached',
+  SKIP_AI_REJECTED: 'rejected',
+  SKIP_SIMILAR_REPLY: 'rejected',
+  SCHEDULED_P2P: 'scheduled',
+  SUBSCRIPTION_CREATED: 'scheduled',
+  PENDING_CLAIM: 'scheduled',
+  AWAITING_CONFIRMATION: 'awaiting_confirmation',
+  CONFIRMATION_EXPIRED: 'expired'
+};
+
 /**
- * Log a transaction to monibot_transactions with chain='BSC'
+ * Log a transaction to monibot_transactions with chain='BSC'.
+ * `reason` overrides error_reason (e.g. the AI reasoning behind a rejection).
+ * `retry: false` keeps a retryable failure out of the retry queue, for rows
+ * whose command would not be paid again by a re-run.
  */
 export async function logTransaction({ 
   sender_id, 
@@ -149,12 +317,25 @@ export async function logTransaction({
   type,
   tweet_id = null,
   payer_pay_tag = null,
-  recipient_pay_tag = null
+  recipient_pay_tag = null,
+  reason = null,
+  retry = true
 }) {
   const isError = tx_hash.startsWith('ERROR_');
   const isLimitReached = tx_hash === 'LIMIT_REACHED';
   
-  const status = isError ? 'failed' : (isLimitReached ? 'limit_reached' : 'completed');
+  let status = isError ? 'failed' : (STATUS_BY_CODE[tx_hash] || 'completed');
+  
+  // Transient failures go to the retry queue instead of burning the tweet
+  let retryCount = 0;
+  let nextRetryAt = null;
+  if (isError && tweet_id && retry && isRetryableFailure(tx_hash, type)) {
+    retryCount = await getNextAttemptNumber(tweet_id);
+    nextRetryAt = getNextRetryAt(retryCount);
+    if (nextRetryAt) {
+      status = 'retry_scheduled';
+    }
+  }
   
   const insertData = {
     sender_id,
@@ -169,13 +350,14 @@ export async function logTransaction({
     recipient_pay_tag,
     replied: false,
     status,
-    retry_count: 0,
+    retry_count: retryCount,
+    next_retry_at: nextRetryAt?.toISOString() || null,
     chain: 'BSC', // ← CRITICAL: Identify as BSC transaction
     created_at: new Date().toISOString()
   };
   
-  if (isError) {
-    insertData.error_reason = tx_hash;
+  if (isError || reason) {
+    insertData.error_reason = reason || tx_hash;
   }
 
   const { error } = await supabase
@@ -185,9 +367,263 @@ export async function logTransaction({
   if (error) {
     console.error('❌ Database log error:', error.message);
   } else {
-    const emoji = isError ? '⚠️' : (isLimitReached ? '⏰' : '💾');
+    const emoji = status === 'retry_scheduled' ? '🔁' : (isError ? '⚠️' : (isLimitReached ? '⏰' : '💾'));
     console.log(`${emoji} [BSC] Transaction logged: ${type} | ${tx_hash.substring(0, 20)}... | To: @${recipient_pay_tag || 'unknown'}`);
   }
+  
+  return !error;
+}
+
+// ============ Retry Queue ============
+
+// A 'retrying' row whose attempt never finished (worker killed mid-attempt)
+const RETRY_CLAIM_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Attempt number for a tweet's next logged failure: one past the latest
+ * superseded ('retried') row, or 0 on the first try.
+ */
+async function getNextAttemptNumber(tweetId) {
+  const { data, error } = await supabase
+    .from('monibot_transactions')
+    .select('retry_count')
+    .eq('tweet_id', tweetId)
+    .eq('chain', 'BSC')
+    .eq('status', 'retried')
+    .order('retry_count', { ascending: false })
+    .limit(1);
+  
+  if (error || !data || data.length === 0) {
+    return 0;
+  }
+  
+  return (data[0].retry_count || 0) + 1;
+}
+
+export async function getDueRetries(limit = 10) {
+  const now = new Date();
+  const staleClaim = new Date(now.getTime() - RETRY_CLAIM_TIMEOUT_MS).toISOString();
+  
+  const { data, error } = await supabase
+    .from('monibot_transactions')
+    .select('*')
+    .eq('chain', 'BSC')
+    .in('type', [...RETRYABLE_COMMAND_TYPES])
+    .or(`status.eq.retry_scheduled,and(status.eq.retrying,retry_claimed_at.lt.${staleClaim})`)
+    .lte('next_retry_at', now.toISOString())
+    .order('next_retry_at', { ascending: true })
+    .limit(limit);
+  
+  if (error) {
+    console.error('❌ Failed to fetch due retries:', error.message);
+    return [];
+  }
+  
+  return data || [];
+}
+
+export async function claimRetry(row) {
+  const { data, error } = await supabase
+    .from('monibot_transactions')
+    .update({
+      status: 'retrying',
+      retry_claimed_at: new Date().toISOString()
+    })
+    .eq('id', row.id)
+    .eq('status', row.status)
+    .select()
+    .maybeSingle();
+  
+  if (error || !data) {
+    return null;
+  }
+  
+  return data;
+}
+
+/**
+ * The command is about to be re-run; its next outcome is logged as a new row.
+ */
+export async function markRetrySuperseded(rowId) {
+  const { error } = await supabase
+    .from('monibot_transactions')
+    .update({ status: 'retried' })
+    .eq('id', rowId);
+  
+  if (error) {
+    console.error(`❌ Error superseding retry row ${rowId}:`, error.message);
+  }
+  
+  return !error;
+}
+
+/**
+ * Close the AWAITING_CONFIRMATION row of a parked command: 'confirmed' before
+ * the command is re-run (it then logs its own outcome), or 'expired'.
+ */
+export async function resolveAwaitingConfirmation(tweetId, status) {
+  const { error } = await supabase
+    .from('monibot_transactions')
+    .update({ status })
+    .eq('chain', 'BSC')
+    .eq('tweet_id', tweetId)
+    .eq('tx_hash', 'AWAITING_CONFIRMATION')
+    .eq('status', 'awaiting_confirmation');
+  
+  if (error) {
+    console.error(`❌ Error resolving confirmation row for ${tweetId}:`, error.message);
+  }
+  
+  return !error;
+}
+
+/**
+ * Push a claimed row back onto the queue without re-running the command
+ * (pre-attempt validation still fails), or fail it once attempts run out.
+ */
+export async function rescheduleRetry(row, reason) {
+  const retryCount = (row.retry_count || 0) + 1;
+  const nextRetryAt = getNextRetryAt(retryCount);
+  
+  const { error } = await supabase
+    .from('monibot_transactions')
+    .update({
+      status: nextRetryAt ? 'retry_scheduled' : 'failed',
+      retry_count: retryCount,
+      next_retry_at: nextRetryAt?.toISOString() || null,
+      error_reason: reason
+    })
+    .eq('id', row.id);
+  
+  if (error) {
+    console.error(`❌ Error rescheduling retry row ${row.id}:`, error.message);
+  }
+  
+  return nextRetryAt;
+}
+
+export async function failRetry(row, reason) {
+  const { error } = await supabase
+    .from('monibot_transactions')
+    .update({
+      status: 'failed',
+      next_retry_at: null,
+      error_reason: reason
+    })
+    .eq('id', row.id);
+  
+  if (error) {
+    console.error(`❌ Error failing retry row ${row.id}:`, error.message);
+  }
+}
+
+// ============ Spending History ============
+
+/**
+ * A sender's monibot_transactions rows since `since`, for the spending policy.
+ * Superseded retry rows are left out so a retried command counts once.
+ */
+export async function getSenderActivity(senderId, since) {
+  const { data, error } = await supabase
+    .from('monibot_transactions')
+    .select('tweet_id, tx_hash, type, amount, fee, receiver_id, created_at')
+    .eq('chain', 'BSC')
+    .eq('sender_id', senderId)
+    .neq('status', 'retried')
+    .gte('created_at', since.toISOString());
+  
+  if (error) {
+    throw new Error(`Failed to load activity for ${senderId}: ${error.message}`);
+  }
+  
+  return data || [];
+}
+
+/**
+ * The first row where the sender paid this receiver, or was first refused
+ * under the new-recipient cooldown. Null when neither ever happened.
+ */
+export async function getFirstPaymentAttempt(senderId, receiverId) {
+  const { data, error } = await supabase
+    .from('monibot_transactions')
+    .select('tx_hash, created_at')
+    .eq('chain', 'BSC')
+    .eq('sender_id', senderId)
+    .eq('receiver_id', receiverId)
+    .or('tx_hash.like.0x%,tx_hash.eq.ERROR_LIMIT_NEW_RECIPIENT')
+    .order('created_at', { ascending: true })
+    .limit(1);
+  
+  if (error) {
+    throw new Error(`Failed to load payment history for ${senderId}: ${error.message}`);
+  }
+  
+  return data[0] || null;
+}
+
+// ============ Reply Outbox ============
+
+// Outcomes worth telling the user about: final rows, plus the first
+// balance/allowance failure while it waits in the retry queue (the user can
+// fix those). Superseded ('retried'), in-flight and SKIP_* rows stay silent.
+const OUTBOX_STATUS_FILTER = 'status.in.(completed,failed,limit_reached,scheduled,awaiting_confirmation,expired),' +
+  'and(status.eq.retry_scheduled,retry_count.eq.0,tx_hash.in.(ERROR_ALLOWANCE,ERROR_BALANCE))';
+
+export async function getUnrepliedTransactions({ since, limit = 50 }) {
+  const { data, error } = await supabase
+    .from('monibot_transactions')
+    .select('*')
+    .eq('chain', 'BSC')
+    .eq('replied', false)
+    .not('tweet_id', 'is', null)
+    .not('tx_hash', 'like', 'SKIP_%')
+    .or(OUTBOX_STATUS_FILTER)
+    .gte('created_at', since.toISOString())
+    .order('created_at', { ascending: true })
+    .limit(limit);
+  
+  if (error) {
+    console.error('❌ Error fetching unreplied transactions:', error.message);
+    return [];
+  }
+  
+  return data || [];
+}
+
+/**
+ * All unreplied outbox rows for the given tweets, so rows past the page limit
+ * still land in the same coalesced reply.
+ */
+export async function getUnrepliedForTweets(tweetIds) {
+  const { data, error } = await supabase
+    .from('monibot_transactions')
+    .select('*')
+    .eq('chain', 'BSC')
+    .eq('replied', false)
+    .in('tweet_id', tweetIds)
+    .not('tx_hash', 'like', 'SKIP_%')
+    .or(OUTBOX_STATUS_FILTER)
+    .order('created_at', { ascending: true });
+  
+  if (error) {
+    console.error('❌ Error fetching unreplied rows:', error.message);
+    return [];
+  }
+  
+  return data || [];
+}
+
+export async function markReplied(rowIds) {
+  const { error } = await supabase
+    .from('monibot_transactions')
+    .update({ replied: true })
+    .in('id', rowIds);
+  
+  if (error) {
+    console.error('❌ Error marking rows replied:', error.message);
+  }
+  
+  return !error;
 }
 
 // ============ Campaign Management ============
@@ -228,6 +664,70 @@ export async function getCampaignByTweetId(tweetId) {
   return data;
 }
 
+export async function getCampaignById(campaignId) {
+  const { data, error } = await supabase
+    .from('campaigns')
+    .select('*')
+    .eq('id', campaignId)
+    .maybeSingle();
+  
+  if (error) {
+    console.error(`❌ Error fetching campaign ${campaignId}:`, error.message);
+    return null;
+  }
+  
+  return data;
+}
+
+/**
+ * Insert a BSC campaign as 'draft'. It stays invisible to getActiveCampaigns
+ * until updateCampaign flips it to 'active' with a tweet_id.
+ */
+export async function createDraftCampaign({
+  message,
+  budgetAllocated,
+  grantAmount,
+  maxParticipants = null,
+  aiEvaluation = false
+}) {
+  const { data, error } = await supabase
+    .from('campaigns')
+    .insert({
+      message,
+      network: 'bsc',
+      status: 'draft',
+      budget_allocated: budgetAllocated,
+      budget_spent: 0,
+      grant_amount: grantAmount,
+      max_participants: maxParticipants,
+      current_participants: 0,
+      ai_evaluation: aiEvaluation,
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+  
+  if (error) {
+    console.error('❌ Error creating campaign:', error.message);
+    throw error;
+  }
+  
+  return data;
+}
+
+export async function updateCampaign(campaignId, fields) {
+  const { error } = await supabase
+    .from('campaigns')
+    .update(fields)
+    .eq('id', campaignId);
+  
+  if (error) {
+    console.error(`❌ Error updating campaign ${campaignId}:`, error.message);
+  }
+  
+  return !error;
+}
+
 export async function incrementCampaignParticipants(tweetId, grantAmount) {
   const { data: campaign, error: fetchError } = await supabase
     .from('campaigns')
@@ -237,7 +737,7 @@ export async function incrementCampaignParticipants(tweetId, grantAmount) {
   
   if (fetchError || !campaign) {
     console.error(`❌ Error fetching campaign for update:`, fetchError?.message);
-    return;
+    return false;
   }
   
   const newParticipants = (campaign.current_participants || 0) + 1;
@@ -268,6 +768,8 @@ export async function incrementCampaignParticipants(tweetId, grantAmount) {
     const statusMsg = shouldComplete ? ' [COMPLETED]' : '';
     console.log(`      📊 Campaign updated: ${newParticipants} participants, $${newBudgetSpent} spent${statusMsg}`);
   }
+  
+  return !updateError;
 }
 
 export async function checkAndCompleteCampaigns() {
@@ -362,11 +864,14 @@ export async function syncToMainLedger({
     if (!response.ok) {
       const errorText = await response.text();
       console.error('      ❌ Sync to main ledger failed:', errorText);
-    } else {
-      console.log('      📋 Synced to main transactions ledger [BSC]');
+      return false;
     }
+    
+    console.log('      📋 Synced to main transactions ledger [BSC]');
+    return true;
   } catch (error) {
     console.error('      ❌ Sync error:', error.message);
+    return false;
   }
 }
 
@@ -20,11 +20,19 @@
  */
 
 import dotenv from 'dotenv';
-import { initTwitterClient, pollCampaigns, pollCommands } from './twitter.js';
-import { initGemini } from './gemini.js';
+import { initTwitterClient, pollCampaigns, pollCommands, pollRetries, redriveConfirmedCommands } from './twitter.js';
+import { initAI } from './ai.js';
 import { initSupabase, checkAndCompleteCampaigns } from './database.js';
 import { MONIBOT_ROUTER_ADDRESS } from './blockchain.js';
 import { processScheduledJobs } from './scheduler.js';
+import { recoverIntents } from './intentJournal.js';
+import { resumeBatches } from './multiRecipient.js';
+import { sweepPaymentRequests } from './paymentRequests.js';
+import { processPendingTransfers } from './pendingTransfers.js';
+import { expireConfirmations } from './paymentConfirmations.js';
+import { drainOutbox } from './outbox.js';
+import './randomPick.js'; // registers the random_pick job handler
+import './campaignPosts.js'; // registers the campaign_post job handler
 
 dotenv.config();
 
@@ -46,6 +54,7 @@ const POLL_INTERVAL_MS = parseInt(process.env.POLL_INTERVAL_MS) || 60000;
 const CAMPAIGN_CHECK_INTERVAL_MS = parseInt(process.env.CAMPAIGN_CHECK_INTERVAL_MS) || 300000;
 const ENABLE_CAMPAIGNS = process.env.ENABLE_CAMPAIGNS !== 'false';
 const ENABLE_P2P_COMMANDS = process.env.ENABLE_P2P_COMMANDS !== 'false';
+const ENABLE_REPLY_OUTBOX = process.env.ENABLE_REPLY_OUTBOX === 'true';
 
 // 90-minute auto-restart for OAuth token refresh (same as vp-social)
 const AUTO_RESTART_MS = 90 * 60 * 1000;
@@ -78,6 +87,7 @@ console.log(`   Poll Interval:    ${POLL_INTERVAL_MS}ms`);
 console.log(`   Campaign Check:   ${CAMPAIGN_CHECK_INTERVAL_MS}ms`);
 console.log(`   Campaigns:        ${ENABLE_CAMPAIGNS ? '✅ Enabled' : '❌ Disabled'}`);
 console.log(`   P2P Commands:     ${ENABLE_P2P_COMMANDS ? '✅ Enabled' : '❌ Disabled'}`);
+console.log(`   Reply Outbox:     ${ENABLE_REPLY_OUTBOX ? '✅ Enabled' : '❌ Disabled (silent)'}`);
 console.log(`   Auto-Restart:     ${AUTO_RESTART_MS / 60000} minutes`);
 console.log('');
 
@@ -85,7 +95,7 @@ console.log('');
 
 try {
   initTwitterClient();
-  initGemini();
+  initAI();
   initSupabase();
   console.log('\n✅ All services initialized successfully!\n');
 } catch (error) {
@@ -97,8 +107,17 @@ try {
 
 let cycleCount = 0;
 let lastCampaignCheck = 0;
+let lastIntentRecovery = 0;
+let cycleRunning = false;
 
 async function mainLoop() {
+  // A slow cycle (receipt waits, intent recovery) must not overlap the next
+  // tick, or both could finish the same payment
+  if (cycleRunning) {
+    console.log(`⏭️ Cycle #${cycleCount} still running, skipping this tick`);
+    return;
+  }
+  cycleRunning = true;
   cycleCount++;
   const timestamp = new Date().toISOString().split('T')[1].split('.')[0];
   
@@ -106,6 +125,17 @@ async function mainLoop() {
     console.log(`\n🔄 [${timestamp}] Poll Cycle #${cycleCount} [BSC]`);
     console.log('─'.repeat(40));
     
+    // Finish payments a previous run (or a failed DB write) left mid-flight
+    // before touching new tweets. Runs on the first cycle after every restart.
+    if (Date.now() - lastIntentRecovery > CAMPAIGN_CHECK_INTERVAL_MS) {
+      await recoverIntents();
+      await resumeBatches();
+      await sweepPaymentRequests();
+      await expireConfirmations();
+      await redriveConfirmedCommands();
+      lastIntentRecovery = Date.now();
+    }
+    
     if (ENABLE_CAMPAIGNS) {
       await pollCampaigns();
     }
@@ -114,11 +144,18 @@ async function mainLoop() {
       await pollCommands();
     }
     
+    await pollRetries();
+    
     await processScheduledJobs();
     
+    if (ENABLE_REPLY_OUTBOX) {
+      await drainOutbox();
+    }
+    
     const now = Date.now();
     if (now - lastCampaignCheck > CAMPAIGN_CHECK_INTERVAL_MS) {
       await checkAndCompleteCampaigns();
+      await processPendingTransfers();
       lastCampaignCheck = now;
     }
     
@@ -127,6 +164,8 @@ async function mainLoop() {
     
   } catch (error) {
     console.error('❌ Error in main loop:', error.message);
+  } finally {
+    cycleRunning = false;
   }
 }
 
@@ -0,0 +1,456 @@
+/**
+ * MoniBot BSC Worker - Transaction Intent Journal
+ *
+ * Write-ahead log around every router payment. An intent row is written
+ * before signing (pending), updated with the signed hash right before the
+ * tx is broadcast (broadcast), and closed once the follow-up writes are done
+ * (confirmed) or the tx is known not to have landed (failed).
+ *
+ * On startup, recoverIntents() looks up each stale unfinished intent
+ * on-chain and finishes its monibot_transactions, campaign_grants and ledger
+ * writes, so a 90-minute restart or SIGTERM mid-payment never leaves money
+ * moved without a record.
+ */
+
+import {
+  getSupabase,
+  logTransaction,
+  markAsGranted,
+  incrementCampaignParticipants,
+  syncToMainLedger
+} from './database.js';
+import {
+  executeP2PViaRouter,
+  executeGrantViaRouter,
+  getTransactionOutcome,
+  isTweetProcessed,
+  isGrantAlreadyIssued,
+  calculateFee
+} from './blockchain.js';
+
+const INTENTS_TABLE = 'monibot_tx_intents';
+
+// Unfinished intents younger than this may still belong to a live payment
+const INTENT_STALE_MS = parseInt(process.env.INTENT_STALE_MS) || 10 * 60 * 1000;
+
+const MONIBOT_WALLET_ADDRESS = process.env.MONIBOT_WALLET_ADDRESS || '0x...';
+
+// ============ Journal Writes ============
+
+/**
+ * Record a payment before it is signed.
+ *
+ * @param {object} params
+ * @param {'p2p'|'grant'} params.kind
+ * @param {string} params.tweetId - Tweet that triggered the payment
+ * @param {object} params.payload - Everything needed to finish the DB writes
+ *   without the original tweet (profiles, wallets, pay tags, amount, campaign)
+ */
+export async function openIntent({ kind, tweetId, payload }) {
+  const supabase = getSupabase();
+
+  const { data, error } = await supabase
+    .from(INTENTS_TABLE)
+    .insert({
+      kind,
+      chain: 'BSC',
+      status: 'pending',
+      tweet_id: tweetId,
+      payload,
+      completed_steps: [],
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Failed to open tx intent:', error.message);
+    throw error;
+  }
+
+  return data;
+}
+
+export async function markIntentBroadcast(intentId, hash, fee) {
+  const supabase = getSupabase();
+
+  const { error } = await supabase
+    .from(INTENTS_TABLE)
+    .update({
+      status: 'broadcast',
+      tx_hash: hash,
+      fee,
+      broadcast_at: new Date().toISOString()
+    })
+    .eq('id', intentId);
+
+  // Refusing to broadcast is safer than moving funds with no hash on record
+  if (error) {
+    throw new Error(`Failed to journal tx hash: ${error.message}`);
+  }
+}
+
+export async function markIntentFailed(intentId, errorMessage) {
+  const supabase = getSupabase();
+
+  const { error } = await supabase
+    .from(INTENTS_TABLE)
+    .update({
+      status: 'failed',
+      error_message: errorMessage,
+      closed_at: new Date().toISOString()
+    })
+    .eq('id', intentId);
+
+  if (error) {
+    console.error(`❌ Failed to close intent ${intentId}:`, error.message);
+  }
+}
+
+export async function hasOpenIntent(tweetId) {
+  const supabase = getSupabase();
+
+  const { data, error } = await supabase
+    .from(INTENTS_TABLE)
+    .select('id')
+    .eq('tweet_id', tweetId)
+    .eq('chain', 'BSC')
+    .in('status', ['pending', 'broadcast'])
+    .limit(1);
+
+  if (error) {
+    console.error('❌ Error checking open intents:', error.message);
+    // Treat as open: a skipped tweet is replayed, a double payment is not undone
+    return true;
+  }
+
+  return data.length > 0;
+}
+
+// ============ Finalization ============
+
+function buildFinalizeSteps(intent, hash, fee) {
+  const p = intent.payload;
+  const netAmount = p.amount - fee;
+
+  if (intent.kind === 'grant') {
+    return [
+      ['transaction', () => logTransaction({
+        sender_id: process.env.MONIBOT_PROFILE_ID,
+        receiver_id: p.receiverId,
+        amount: netAmount,
+        fee,
+        tx_hash: hash,
+        campaign_id: p.campaignId,
+        type: p.type || 'grant',
+        tweet_id: intent.tweet_id,
+        payer_pay_tag: 'MoniBot',
+        recipient_pay_tag: p.receiverPayTag
+      })],
+      ['grant', () => markAsGranted(p.campaignId, p.receiverId)],
+      ...(p.trackCampaign === false ? [] : [
+        ['campaign', () => incrementCampaignParticipants(p.campaignId, p.amount)]
+      ]),
+      ['ledger', () => syncToMainLedger({
+        senderWalletAddress: MONIBOT_WALLET_ADDRESS,
+        receiverWalletAddress: p.receiverWallet,
+        senderPayTag: 'MoniBot',
+        receiverPayTag: p.receiverPayTag,
+        amount: netAmount,
+        fee,
+        txHash: hash,
+        monibotType: 'grant',
+        tweetId: intent.tweet_id,
+        campaignId: p.campaignId,
+        campaignName: p.campaignName
+      })]
+    ];
+  }
+
+  return [
+    ['transaction', () => logTransaction({
+      sender_id: p.senderId,
+      receiver_id: p.receiverId,
+      amount: netAmount,
+      fee,
+      tx_hash: hash,
+      type: p.type || 'p2p_command',
+      tweet_id: intent.tweet_id,
+      payer_pay_tag: p.senderPayTag,
+      recipient_pay_tag: p.receiverPayTag,
+      reason: p.reason || null
+    })],
+    ['ledger', () => syncToMainLedger({
+      senderWalletAddress: p.senderWallet,
+      receiverWalletAddress: p.receiverWallet,
+      senderPayTag: p.senderPayTag,
+      receiverPayTag: p.receiverPayTag,
+      amount: netAmount,
+      fee,
+      txHash: hash,
+      monibotType: 'p2p',
+      tweetId: intent.tweet_id
+    })]
+  ];
+}
+
+/**
+ * Run the post-payment writes for a mined intent, recording each finished
+ * step so a retry (live or from recovery) never repeats one.
+ */
+export async function finalizeIntent(intent, hash, fee) {
+  const supabase = getSupabase();
+  const done = new Set(intent.completed_steps || []);
+
+  for (const [step, run] of buildFinalizeSteps(intent, hash, fee)) {
+    if (done.has(step)) continue;
+
+    const ok = await run();
+    if (!ok) {
+      throw new Error(`Intent ${intent.id} step "${step}" failed; left for recovery`);
+    }
+
+    done.add(step);
+    await supabase
+      .from(INTENTS_TABLE)
+      .update({ completed_steps: [...done] })
+      .eq('id', intent.id);
+  }
+
+  await supabase
+    .from(INTENTS_TABLE)
+    .update({
+      status: 'confirmed',
+      tx_hash: hash,
+      fee,
+      completed_steps: [...done],
+      closed_at: new Date().toISOString()
+    })
+    .eq('id', intent.id);
+}
+
+// ============ Journaled Execution ============
+
+/**
+ * Open an intent, run the router call with the journal's broadcast hook,
+ * then finish the follow-up writes. An aborted `signal` (a scheduled job
+ * whose lease was lost) stops the payment at the hook, before it is sent.
+ *
+ * Resolves to { hash, fee } once the tx is confirmed, even if a follow-up
+ * write failed (recovery retries it). Throws the router error (after
+ * closing the intent) when nothing was sent or the tx reverted. Resolves to
+ * null when the tx was broadcast but its outcome is unknown; recovery
+ * finishes that intent later.
+ */
+async function runWithIntent(intentParams, execute, signal = null) {
+  const intent = await openIntent(intentParams);
+  let broadcast = false;
+
+  const onBroadcast = async ({ hash, fee }) => {
+    signal?.throwIfAborted();
+    await markIntentBroadcast(intent.id, hash, fee);
+    broadcast = true;
+  };
+
+  let result;
+  try {
+    result = await execute(onBroadcast);
+  } catch (txError) {
+    if (broadcast && !txError.message.includes('ERROR_TX_REVERTED')) {
+      console.log(`   🩹 Outcome unknown after broadcast (${txError.message}), left for intent recovery.`);
+      return null;
+    }
+    await markIntentFailed(intent.id, txError.message);
+    throw txError;
+  }
+
+  // The transfer is confirmed on-chain from here on: a failed follow-up write
+  // must not surface as a router error. The intent stays 'broadcast' and
+  // recoverIntents finishes the remaining steps.
+  try {
+    await finalizeIntent(intent, result.hash, result.fee);
+  } catch (finalizeError) {
+    console.error(`   🩹 TX ${result.hash} confirmed, follow-up left for intent recovery:`, finalizeError.message);
+  }
+  return result;
+}
+
+/**
+ * Journaled executeP2PViaRouter. `tweetId` is the tweet the outcome is
+ * logged under; `onchainTweetId` is the router dedup id (a derived id for
+ * scheduled, recurring or batch payments). `reason` is stored as the
+ * transaction row's error_reason (batches record their mode there).
+ */
+export function executeP2PWithIntent({
+  tweetId,
+  senderProfile,
+  receiverProfile,
+  amount,
+  onchainTweetId = tweetId,
+  type = 'p2p_command',
+  reason = null,
+  signal = null
+}) {
+  return runWithIntent({
+    kind: 'p2p',
+    tweetId,
+    payload: {
+      senderId: senderProfile.id,
+      senderWallet: senderProfile.wallet_address,
+      senderPayTag: senderProfile.pay_tag,
+      receiverId: receiverProfile.id,
+      receiverWallet: receiverProfile.wallet_address,
+      receiverPayTag: receiverProfile.pay_tag,
+      amount,
+      onchainTweetId,
+      type,
+      reason
+    }
+  }, (onBroadcast) => executeP2PViaRouter(
+    senderProfile.wallet_address,
+    receiverProfile.wallet_address,
+    amount,
+    onchainTweetId,
+    { onBroadcast }
+  ), signal);
+}
+
+/**
+ * Journaled executeGrantViaRouter. `campaignId` is the id the router dedups
+ * grants on (the campaign tweet id). Set `trackCampaign: false` for grants
+ * with no campaigns row to update, such as giveaway payouts.
+ */
+export function executeGrantWithIntent({
+  tweetId,
+  receiverProfile,
+  amount,
+  campaignId,
+  campaignName,
+  type = 'grant',
+  trackCampaign = true,
+  signal = null
+}) {
+  return runWithIntent({
+    kind: 'grant',
+    tweetId,
+    payload: {
+      receiverId: receiverProfile.id,
+      receiverWallet: receiverProfile.wallet_address,
+      receiverPayTag: receiverProfile.pay_tag,
+      amount,
+      campaignId,
+      campaignName,
+      type,
+      trackCampaign
+    }
+  }, (onBroadcast) => executeGrantViaRouter(
+    receiverProfile.wallet_address,
+    amount,
+    campaignId,
+    { onBroadcast }
+  ), signal);
+}
+
+// ============ Recovery ============
+
+async function isIntentSettledOnChain(intent) {
+  const p = intent.payload;
+
+  if (intent.kind === 'grant') {
+    return isGrantAlreadyIssued(p.campaignId, p.receiverWallet);
+  }
+
+  return isTweetProcessed(p.onchainTweetId || intent.tweet_id);
+}
+
+async function recoverIntent(intent) {
+  const label = `${intent.kind} intent ${intent.id.substring(0, 8)} (tweet ${intent.tweet_id})`;
+
+  // Never signed, or signed but never journaled as sent: nothing left this worker
+  if (!intent.tx_hash) {
+    const settled = await isIntentSettledOnChain(intent);
+    if (settled) {
+      console.warn(`   ⚠️ ${label} has no hash but is settled on-chain; needs manual review`);
+      return;
+    }
+
+    console.log(`   🧹 ${label} was never broadcast, closing`);
+    await markIntentFailed(intent.id, 'INTENT_ABANDONED');
+    return;
+  }
+
+  const outcome = await getTransactionOutcome(intent.tx_hash);
+
+  if (outcome === 'confirmed') {
+    const fee = intent.fee ?? (await calculateFee(intent.payload.amount)).fee;
+    console.log(`   ✅ ${label} confirmed on-chain, finishing writes...`);
+    await finalizeIntent(intent, intent.tx_hash, fee);
+    return;
+  }
+
+  if (outcome === 'reverted') {
+    console.log(`   ❌ ${label} reverted on-chain, logging failure`);
+    await closeIntentWithFailure(intent, 'ERROR_TX_REVERTED');
+    return;
+  }
+
+  // No receipt yet: still in the mempool, dropped, or never sent
+  console.log(`   🧹 ${label} never mined (${intent.tx_hash.substring(0, 18)}...), closing`);
+  await closeIntentWithFailure(intent, 'ERROR_TX_DROPPED');
+}
+
+async function closeIntentWithFailure(intent, errorCode) {
+  const p = intent.payload;
+
+  await logTransaction({
+    sender_id: p.senderId || process.env.MONIBOT_PROFILE_ID,
+    receiver_id: p.receiverId,
+    amount: p.amount,
+    fee: 0,
+    tx_hash: errorCode,
+    campaign_id: p.campaignId || null,
+    type: p.type || (intent.kind === 'grant' ? 'grant' : 'p2p_command'),
+    tweet_id: intent.tweet_id,
+    payer_pay_tag: p.senderPayTag || 'MoniBot',
+    recipient_pay_tag: p.receiverPayTag
+  });
+  await markIntentFailed(intent.id, errorCode);
+}
+
+/**
+ * Finish or close every unfinished intent older than INTENT_STALE_MS. Runs
+ * once at startup (and on the campaign-check interval) before any new tweets
+ * are handled. Younger intents may still be finalized by the live payment,
+ * so they are left to a later pass.
+ */
+export async function recoverIntents() {
+  const supabase = getSupabase();
+  const staleBefore = new Date(Date.now() - INTENT_STALE_MS).toISOString();
+
+  const { data: intents, error } = await supabase
+    .from(INTENTS_TABLE)
+    .select('*')
+    .eq('chain', 'BSC')
+    .in('status', ['pending', 'broadcast'])
+    .lt('created_at', staleBefore)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('❌ Failed to fetch unfinished intents:', error.message);
+    return;
+  }
+
+  if (!intents || intents.length === 0) {
+    return;
+  }
+
+  console.log(`🩹 [BSC] Recovering ${intents.length} unfinished tx intent(s)...`);
+
+  for (const intent of intents) {
+    try {
+      await recoverIntent(intent);
+    } catch (err) {
+      console.error(`   ❌ Recovery failed for intent ${intent.id}:`, err.message);
+    }
+  }
+}
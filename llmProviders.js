@@ -0,0 +1,296 @@
+/**
+ * MoniBot BSC Worker - LLM Providers
+ *
+ * Every AI call goes through one provider interface:
+ *
+ *   generate({ task, system, prompt, schema, temperature, maxOutputTokens, input }, { signal })
+ *     → Promise<string>   raw model text (JSON when `schema` is set)
+ *
+ * Providers are registered by name (registerLLMProvider) and LLM_PROVIDER
+ * selects one:
+ *
+ *   gemini   Google Gemini (GEMINI_API_KEY)
+ *   openai   any OpenAI-compatible /chat/completions endpoint, e.g. a local
+ *            llama.cpp server (LLM_BASE_URL, optional LLM_API_KEY)
+ *   stub     deterministic rules per task, for offline tests; no network
+ *   none     AI disabled
+ *
+ * It defaults to gemini when GEMINI_API_KEY is set, and none otherwise.
+ *
+ * createLLMClient wraps a provider with a per-call timeout, a response cache
+ * keyed by the prompt's hash, and a circuit breaker. While the breaker is
+ * open, or the provider is none, calls fail fast with AI_UNAVAILABLE and
+ * callers fall back to their no-AI behaviour.
+ */
+
+import { createHash } from 'crypto';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+/**
+ * LLM_* settings, read when a provider or client is built rather than at
+ * import: index.js loads .env only after its imports have been evaluated.
+ */
+function getLLMSettings() {
+  return {
+    providerName: process.env.LLM_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'none'),
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 20000,
+    cacheTtlMs: parseInt(process.env.LLM_CACHE_TTL_MS) || 60 * 60 * 1000,
+    cacheMaxEntries: parseInt(process.env.LLM_CACHE_MAX_ENTRIES) || 500,
+    breakerThreshold: parseInt(process.env.LLM_BREAKER_THRESHOLD) || 5,
+    breakerCooldownMs: parseInt(process.env.LLM_BREAKER_COOLDOWN_MS) || 5 * 60 * 1000
+  };
+}
+
+// Model and API version when LLM_MODEL / LLM_API_VERSION are not set
+const PROVIDER_DEFAULTS = {
+  gemini: { model: 'gemini-1.5-flash', apiVersion: 'v1beta' },
+  openai: { model: 'local-model', apiVersion: 'v1' },
+  stub: { model: 'rules-v1', apiVersion: 'v1' },
+  none: { model: 'none', apiVersion: 'v1' }
+};
+
+// ============ Providers ============
+
+const providers = new Map();
+
+/**
+ * Register a provider factory. `create(config)` receives { model, apiVersion,
+ * timeoutMs } and returns an object with generate(request, { signal }).
+ */
+export function registerLLMProvider(name, create) {
+  providers.set(name, create);
+}
+
+registerLLMProvider('gemini', ({ model, apiVersion, timeoutMs }) => {
+  if (!process.env.GEMINI_API_KEY) {
+    throw new Error('GEMINI_API_KEY environment variable is required for LLM_PROVIDER=gemini');
+  }
+
+  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+  return {
+    async generate({ system, prompt, schema, temperature, maxOutputTokens }, { signal }) {
+      const generativeModel = genAI.getGenerativeModel({
+        model,
+        ...(system && { systemInstruction: system }),
+        generationConfig: {
+          temperature,
+          maxOutputTokens,
+          ...(schema && { responseMimeType: 'application/json', responseSchema: schema })
+        }
+      }, { apiVersion, timeout: timeoutMs });
+
+      const result = await generativeModel.generateContent(prompt, { signal });
+      return result.response.text();
+    }
+  };
+});
+
+registerLLMProvider('openai', ({ model, apiVersion }) => {
+  const baseUrl = process.env.LLM_BASE_URL;
+  if (!baseUrl) {
+    throw new Error('LLM_BASE_URL environment variable is required for LLM_PROVIDER=openai');
+  }
+
+  const url = `${baseUrl.replace(/\/+$/, '')}/${apiVersion}/chat/completions`;
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.LLM_API_KEY) {
+    headers.Authorization = `Bearer ${process.env.LLM_API_KEY}`;
+  }
+
+  return {
+    async generate({ task, system, prompt, schema, temperature, maxOutputTokens }, { signal }) {
+      const messages = [{ role: 'user', content: prompt }];
+      if (system) messages.unshift({ role: 'system', content: system });
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        signal,
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature,
+          max_tokens: maxOutputTokens,
+          ...(schema && { response_format: { type: 'json_schema', json_schema: { name: task, schema } } })
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${(await response.text()).substring(0, 200)}`);
+      }
+
+      const data = await response.json();
+      const text = data.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') {
+        throw new Error('Response has no message content');
+      }
+      return text;
+    }
+  };
+});
+
+const UNIT_MS = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+
+/**
+ * Stub answers per task, computed from the request's structured `input` so the
+ * same input always gets the same answer.
+ */
+const STUB_TASKS = {
+  campaign_evaluation: ({ reply, replyAuthor, targetPayTag, isNewUser, similarReplies }) => {
+    const words = reply.replace(/https?:\/\/\S+|@[a-zA-Z0-9_-]+/g, ' ').match(/[\p{L}\p{N}']+/gu) || [];
+    const reject = (reasoning) => ({ approved: false, amount: 0, reasoning });
+
+    if (/\bignore\b.*\binstructions\b|"approved"|\bevaluator\b|\bsystem\b\s*:/i.test(reply)) {
+      return reject('Reply addresses the evaluator');
+    }
+    if (similarReplies?.similarCount) return reject('Template reply seen before');
+    if (replyAuthor.toLowerCase() === targetPayTag.toLowerCase()) return reject('Author tagged themselves');
+    if (words.length < 4) return reject('Too short to be engagement');
+
+    const amount = words.length >= 25 ? 0.5 : words.length >= 10 ? 0.25 : 0.1;
+    return {
+      approved: true,
+      amount: isNewUser ? Math.max(amount, 0.25) : amount,
+      reasoning: `Stub rules: ${words.length}-word reply${isNewUser ? ' from a new user' : ''}`
+    };
+  },
+
+  time_expression: ({ text, referenceDate }) => {
+    const match = text.match(/\bin\s+(\d+)\s*(minute|hour|day)s?\b/i);
+    if (!match) {
+      return { scheduledAt: null, interpreted: 'could not parse', confidence: 'none' };
+    }
+
+    const at = new Date(new Date(referenceDate).getTime() + parseInt(match[1]) * UNIT_MS[match[2].toLowerCase()]);
+    return { scheduledAt: at.toISOString(), interpreted: `in ${match[1]} ${match[2]}(s)`, confidence: 'medium' };
+  },
+
+  connection_test: () => 'OK'
+};
+
+registerLLMProvider('stub', () => ({
+  async generate({ task, input }) {
+    const rule = STUB_TASKS[task];
+    if (!rule) {
+      throw new Error(`Stub provider has no rules for task "${task}"`);
+    }
+    return JSON.stringify(rule(input || {}));
+  }
+}));
+
+registerLLMProvider('none', () => ({
+  disabled: true,
+  async generate() {
+    throw new Error('AI_UNAVAILABLE: AI is disabled (LLM_PROVIDER=none)');
+  }
+}));
+
+/**
+ * Build the provider named by LLM_PROVIDER with its configured model.
+ */
+export function createConfiguredProvider() {
+  const { providerName, timeoutMs } = getLLMSettings();
+  const create = providers.get(providerName);
+  if (!create) {
+    throw new Error(`Unknown LLM_PROVIDER "${providerName}"`);
+  }
+
+  const defaults = PROVIDER_DEFAULTS[providerName] || {};
+  const config = {
+    model: process.env.LLM_MODEL || defaults.model,
+    apiVersion: process.env.LLM_API_VERSION || defaults.apiVersion,
+    timeoutMs
+  };
+
+  return { name: providerName, ...config, ...create(config) };
+}
+
+// ============ Client ============
+
+/**
+ * Wrap a provider with a timeout, a response cache and a circuit breaker.
+ *
+ * complete(request, parse) resolves to parse(text). Only parsed results are
+ * cached, so an unparseable answer is asked for again next time. After
+ * `breakerThreshold` consecutive provider failures the breaker opens for
+ * `breakerCooldownMs`; the first call after that is a trial that closes it
+ * on success or reopens it on failure. Options not given default to the
+ * LLM_* settings.
+ */
+export function createLLMClient(provider, options = {}) {
+  const { timeoutMs, cacheTtlMs, cacheMaxEntries, breakerThreshold, breakerCooldownMs } = { ...getLLMSettings(), ...options };
+  const cache = new Map(); // prompt hash → { value, expiresAt }, oldest first
+  let failures = 0;
+  let openUntil = 0;
+
+  const hashRequest = ({ task, system, prompt, schema }) => createHash('sha256')
+    .update(JSON.stringify([provider.name, provider.model, provider.apiVersion, task, system, prompt, schema]))
+    .digest('hex');
+
+  async function generateWithTimeout(request) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`LLM call timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([provider.generate(request, { signal: controller.signal }), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    describe() {
+      return `${provider.name}:${provider.model}`;
+    },
+
+    isAvailable() {
+      return !provider.disabled && Date.now() >= openUntil;
+    },
+
+    async complete(request, parse = (text) => text) {
+      const key = hashRequest(request);
+      const cached = cache.get(key);
+      if (cached && cached.expiresAt > Date.now()) {
+        return cached.value;
+      }
+
+      if (!this.isAvailable()) {
+        throw new Error(provider.disabled
+          ? 'AI_UNAVAILABLE: AI is disabled'
+          : `AI_UNAVAILABLE: circuit open until ${new Date(openUntil).toISOString()}`);
+      }
+
+      let text;
+      try {
+        text = await generateWithTimeout(request);
+      } catch (error) {
+        failures++;
+        if (failures >= breakerThreshold) {
+          openUntil = Date.now() + breakerCooldownMs;
+          console.warn(`⚡ LLM circuit open after ${failures} failures (${provider.name}), retrying at ${new Date(openUntil).toISOString()}`);
+        }
+        throw error;
+      }
+
+      if (failures >= breakerThreshold) {
+        console.log(`✅ LLM circuit closed (${provider.name})`);
+      }
+      failures = 0;
+
+      const value = parse(text);
+      cache.delete(key);
+      cache.set(key, { value, expiresAt: Date.now() + cacheTtlMs });
+      while (cache.size > cacheMaxEntries) {
+        cache.delete(cache.keys().next().value);
+      }
+      return value;
+    }
+  };
+}
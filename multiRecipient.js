@@ -1,200 +1,489 @@
 /**
  * MoniBot BSC Worker - Multi-Recipient P2P Module
  * 
- * Handles commands like: "@monibot send $1 each to @jap, @mac, @jake, @dave"
+ * Handles commands like:
+ *   "@monibot send $1 each to @jap, @mac, @jake, @dave"   (each)
+ *   "@monibot send $1 to @jap, $3 to @mac"                (per_recipient)
+ *   "@monibot split $30 usdt between @jap @mac @jake"     (split)
  * BSC variant: Uses USDT balance/allowance checks.
+ *
+ * Every batch is persisted in monibot_batches with a state per recipient
+ * (pending / paid / failed), and each recipient is paid through the intent
+ * journal under `<tweet>_<tag>`. A batch a restart interrupted is resumed by
+ * resumeBatches(), which skips recipients the router already marks used.
+ * Adding "all or nothing" to the command pre-validates the whole batch and
+ * refuses to send anything unless every recipient can be paid.
  */
 
 import {
+  getSupabase,
+  getProfileById,
   getProfileByMonitag,
   getProfileByXUsername,
-  logTransaction,
-  syncToMainLedger
+  isAmbiguousProfileError,
+  logTransaction
 } from './database.js';
 import {
-  executeP2PViaRouter,
   getOnchainAllowance,
   getUSDTBalance,
-  calculateFee
+  getP2PErrorCode,
+  isTweetProcessed
 } from './blockchain.js';
+import { executeP2PWithIntent, hasOpenIntent } from './intentJournal.js';
+import { parseCommand } from './commandParser.js';
+import { checkSpendingLimits } from './spendingPolicy.js';
 
-const MONIBOT_WALLET_ADDRESS = process.env.MONIBOT_WALLET_ADDRESS || '0x...';
+const BATCHES_TABLE = 'monibot_batches';
 
 export function isMultiRecipientCommand(text) {
-  const cleaned = text.toLowerCase();
-  
-  if (!cleaned.includes('send') && !cleaned.includes('pay')) return false;
-  
-  const mentions = (text.match(/@([a-zA-Z0-9_-]+)/g) || [])
-    .map(m => m.slice(1).toLowerCase())
-    .filter(m => m !== 'monibot' && m !== 'monipay');
-  
-  return mentions.length >= 2;
+  const command = parseCommand(text);
+  return command.ok && command.verb !== 'request' && command.recipients.length >= 2;
 }
 
+/**
+ * @returns {{ mode: 'each'|'per_recipient'|'split', allOrNothing: boolean, amount: number|null, total: number,
+ *   recipients: { tag: string, amount: number }[] } | null}
+ */
 export function parseMultiRecipientCommand(text) {
-  const amountMatch = text.match(/\$(\d+\.?\d*)/);
-  if (!amountMatch) return null;
+  const command = parseCommand(text);
+  if (!command.ok || command.verb === 'request' || command.recipients.length < 2) return null;
   
-  const amount = parseFloat(amountMatch[1]);
-  if (isNaN(amount) || amount <= 0) return null;
-  
-  const mentions = (text.match(/@([a-zA-Z0-9_-]+)/g) || [])
-    .map(m => m.slice(1).toLowerCase())
-    .filter(m => m !== 'monibot' && m !== 'monipay');
-  
-  if (mentions.length < 2) return null;
-  
-  const uniqueRecipients = [...new Set(mentions)];
-  
-  return { amount, recipients: uniqueRecipients };
+  return {
+    mode: command.mode,
+    allOrNothing: command.allOrNothing,
+    amount: command.amount,
+    total: command.total,
+    recipients: command.recipients
+  };
 }
 
-export async function executeMultiRecipientP2P({ senderProfile, amount, recipientTags, tweetId }) {
-  const results = [];
-  
-  const filteredTags = recipientTags.filter(tag => {
-    if (tag === senderProfile.pay_tag?.toLowerCase() || tag === senderProfile.x_username?.toLowerCase()) {
-      results.push({ tag, status: 'failed', reason: 'Cannot send to yourself' });
-      return false;
+const sumAmounts = (recipients) => Number(recipients.reduce((sum, r) => sum + r.amount, 0).toFixed(6));
+
+export function getBatchRecipientTweetId(tweetId, tag) {
+  return `${tweetId}_${tag}`;
+}
+
+// ============ Batch State ============
+
+async function getBatch(tweetId) {
+  const supabase = getSupabase();
+
+  const { data, error } = await supabase
+    .from(BATCHES_TABLE)
+    .select('*')
+    .eq('tweet_id', tweetId)
+    .eq('chain', 'BSC')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load batch for ${tweetId}: ${error.message}`);
+  }
+  return data;
+}
+
+async function createBatch({ tweetId, senderProfile, mode, allOrNothing, status, recipients }) {
+  const supabase = getSupabase();
+
+  const { data, error } = await supabase
+    .from(BATCHES_TABLE)
+    .insert({
+      chain: 'BSC',
+      tweet_id: tweetId,
+      sender_id: senderProfile.id,
+      mode,
+      all_or_nothing: allOrNothing,
+      status,
+      recipients,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  // Paying without a batch row would leave a restart nothing to resume from
+  if (error) {
+    throw new Error(`Failed to create batch for ${tweetId}: ${error.message}`);
+  }
+  return data;
+}
+
+async function saveBatch(batch) {
+  const supabase = getSupabase();
+
+  const { error } = await supabase
+    .from(BATCHES_TABLE)
+    .update({
+      status: batch.status,
+      recipients: batch.recipients,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', batch.id);
+
+  if (error) {
+    throw new Error(`Failed to save batch ${batch.id}: ${error.message}`);
+  }
+}
+
+// Not queued for retry: re-running the tweet resumes the batch, which never
+// pays a failed recipient again
+async function logRecipientFailure({ tweetId, senderProfile, mode, recipient, reason }) {
+  await logTransaction({
+    sender_id: senderProfile.id,
+    receiver_id: recipient.profileId || senderProfile.id,
+    amount: recipient.amount,
+    fee: 0,
+    tx_hash: recipient.code,
+    type: 'p2p_command',
+    tweet_id: tweetId,
+    payer_pay_tag: senderProfile.pay_tag,
+    recipient_pay_tag: recipient.payTag || recipient.tag,
+    reason: `Batch ${mode}: ${reason}`,
+    retry: false
+  });
+}
+
+// ============ Planning ============
+
+/**
+ * Decide who the batch will pay. Every recipient comes back as 'pending'
+ * (with the profile to pay) or 'failed' (with the reason and its ERROR_* code,
+ * as in retryPolicy.js), and each failed one is logged so the outbox summary
+ * covers the whole batch. In all-or-nothing mode any failure refuses the
+ * whole batch instead. Spending-limit denials are logged per recipient with
+ * their ERROR_LIMIT_* code.
+ */
+async function planBatch({ tweetId, senderProfile, recipients, mode, allOrNothing }) {
+  const planned = recipients.map(({ tag, amount }) => ({ tag, amount, state: 'pending' }));
+  const fail = (entries, reason, code) => entries.forEach(r => Object.assign(r, { state: 'failed', reason, code }));
+  const pending = () => planned.filter(r => r.state === 'pending');
+
+  const logged = new Set();
+  const logFailure = async (recipient, reason) => {
+    logged.add(recipient);
+    await logRecipientFailure({ tweetId, senderProfile, mode, recipient, reason });
+  };
+  const finish = async () => {
+    for (const recipient of planned) {
+      if (recipient.state === 'failed' && !logged.has(recipient)) {
+        await logFailure(recipient, recipient.reason);
+      }
+    }
+    return { planned };
+  };
+
+  // Fail whoever the available amount cannot cover, paying recipients in
+  // command order for as long as it lasts
+  const keepAffordable = (available, reason, code) => {
+    let running = 0;
+    const affordable = pending().filter(r => {
+      if (running + r.amount > available) return false;
+      running += r.amount;
+      return true;
+    });
+    const skipped = pending().filter(r => !affordable.includes(r));
+    fail(skipped, affordable.length === 0 ? reason : `${reason} (batch limit)`, code);
+  };
+
+  fail(planned.filter(({ tag }) =>
+    tag === senderProfile.pay_tag?.toLowerCase() || tag === senderProfile.x_username?.toLowerCase()
+  ), 'Cannot send to yourself', 'ERROR_SELF_PAYMENT');
+
+  const profiles = new Map();
+  for (const recipient of pending()) {
+    let profile;
+    try {
+      profile = await getProfileByMonitag(recipient.tag) || await getProfileByXUsername(recipient.tag);
+    } catch (error) {
+      if (!isAmbiguousProfileError(error)) throw error;
+      console.log(`      ❌ @${recipient.tag}: ${error.message}`);
+      fail([recipient], 'Matches more than one profile', 'ERROR_AMBIGUOUS_PROFILE');
+      continue;
     }
-    return true;
+
+    if (!profile) {
+      fail([recipient], 'Monitag not found', 'ERROR_TARGET_NOT_FOUND');
+    } else {
+      recipient.profileId = profile.id;
+      recipient.payTag = profile.pay_tag || recipient.tag;
+      profiles.set(recipient.tag, profile);
+    }
+  }
+
+  if (allOrNothing && planned.some(r => r.state === 'failed')) {
+    const failed = planned.find(r => r.state === 'failed');
+    return { planned, refusal: `@${failed.tag}: ${failed.reason}` };
+  }
+  if (pending().length === 0) {
+    return finish();
+  }
+
+  const limited = pending();
+  const denials = await checkSpendingLimits({
+    senderProfile,
+    payments: limited.map(r => ({ receiverProfile: profiles.get(r.tag), amount: r.amount }))
   });
-  
-  if (filteredTags.length === 0) {
-    return { results, summary: { total: recipientTags.length, success: 0, failed: results.length } };
+  for (const [i, denial] of denials.entries()) {
+    if (!denial) continue;
+
+    const recipient = limited[i];
+    console.log(`      🛑 @${recipient.tag}: ${denial.code} (${denial.reason})`);
+    fail([recipient], 'Spending limit', denial.code);
+    await logFailure(recipient, denial.reason);
+
+    // One denial is enough to refuse an all-or-nothing batch
+    if (allOrNothing) break;
   }
-  
-  const totalNeeded = amount * filteredTags.length;
-  
+
+  if (allOrNothing && planned.some(r => r.state === 'failed')) {
+    const failed = planned.find(r => r.state === 'failed');
+    return { planned, refusal: `@${failed.tag}: ${failed.reason}` };
+  }
+  if (pending().length === 0) {
+    return finish();
+  }
+
   const [balance, allowance] = await Promise.all([
     getUSDTBalance(senderProfile.wallet_address),
     getOnchainAllowance(senderProfile.wallet_address)
   ]);
-  
-  if (balance < totalNeeded) {
-    const affordableCount = Math.floor(balance / amount);
-    if (affordableCount === 0) {
-      for (const tag of filteredTags) {
-        results.push({ tag, status: 'failed', reason: 'Insufficient balance' });
-      }
-      return { results, summary: { total: recipientTags.length, success: 0, failed: results.length } };
-    }
-    const skipped = filteredTags.slice(affordableCount);
-    for (const tag of skipped) {
-      results.push({ tag, status: 'failed', reason: 'Insufficient balance (batch limit)' });
+
+  if (balance < sumAmounts(pending())) {
+    if (allOrNothing) {
+      return { planned, refusal: `Insufficient balance for $${sumAmounts(pending())} USDT` };
     }
-    filteredTags.length = affordableCount;
+    keepAffordable(balance, 'Insufficient balance', 'ERROR_BALANCE');
   }
-  
-  if (allowance < amount) {
-    for (const tag of filteredTags) {
-      results.push({ tag, status: 'failed', reason: 'Insufficient allowance' });
+
+  const totalNeeded = sumAmounts(pending());
+  if (pending().length > 0 && allowance < totalNeeded) {
+    if (allOrNothing) {
+      return { planned, refusal: `Insufficient allowance for $${totalNeeded} USDT` };
     }
-    return { results, summary: { total: recipientTags.length, success: 0, failed: results.length } };
+    keepAffordable(allowance, 'Insufficient allowance', 'ERROR_ALLOWANCE');
   }
-  
-  const resolvedRecipients = [];
-  for (const tag of filteredTags) {
-    const profile = await getProfileByMonitag(tag) || await getProfileByXUsername(tag);
-    if (!profile) {
-      results.push({ tag, status: 'failed', reason: 'Monitag not found' });
-    } else {
-      resolvedRecipients.push({ tag, profile });
+
+  return finish();
+}
+
+// ============ Execution ============
+
+const toResult = (r) => r.state === 'paid'
+  ? { tag: r.payTag || r.tag, amount: r.amount, status: 'success', hash: r.hash }
+  : { tag: r.tag, amount: r.amount, status: r.state === 'failed' ? 'failed' : 'pending', reason: r.reason, code: r.code };
+
+function summarize(batch) {
+  const results = batch.recipients.map(toResult);
+  return {
+    results,
+    summary: {
+      total: results.length,
+      success: results.filter(r => r.status === 'success').length,
+      failed: results.filter(r => r.status === 'failed').length,
+      mode: batch.mode
     }
-  }
-  
-  for (const { tag, profile } of resolvedRecipients) {
+  };
+}
+
+/**
+ * Pay every pending recipient of a batch, saving its state after each one.
+ * Recipients already paid on-chain (isTweetUsed on their derived id) are
+ * marked paid without a second transfer, so this is safe to re-run.
+ */
+async function runBatch(batch, senderProfile) {
+  const { tweet_id: tweetId, mode } = batch;
+  let stop = null;
+
+  for (const recipient of batch.recipients) {
+    if (recipient.state !== 'pending') continue;
+
+    if (stop) {
+      Object.assign(recipient, { state: 'failed', reason: `${stop.reason} (batch stopped)`, code: stop.code });
+      await logRecipientFailure({ tweetId, senderProfile, mode, recipient, reason: recipient.reason });
+      continue;
+    }
+
+    const onchainTweetId = getBatchRecipientTweetId(tweetId, recipient.tag);
+
+    if (await isTweetProcessed(onchainTweetId)) {
+      console.log(`      ⏭️ @${recipient.tag} already paid on-chain`);
+      recipient.state = 'paid';
+      await saveBatch(batch);
+      continue;
+    }
+
+    const profile = await getProfileById(recipient.profileId);
+    if (!profile?.wallet_address) {
+      Object.assign(recipient, { state: 'failed', reason: 'Monitag not found', code: 'ERROR_TARGET_NOT_FOUND' });
+      await logRecipientFailure({ tweetId, senderProfile, mode, recipient, reason: recipient.reason });
+      await saveBatch(batch);
+      continue;
+    }
+
     try {
-      const uniqueTweetId = `${tweetId}_${tag}`;
-      
-      const { hash, fee: actualFee } = await executeP2PViaRouter(
-        senderProfile.wallet_address,
-        profile.wallet_address,
-        amount,
-        uniqueTweetId
-      );
-      
-      const netAmount = amount - actualFee;
-      
-      await logTransaction({
-        sender_id: senderProfile.id,
-        receiver_id: profile.id,
-        amount: netAmount,
-        fee: actualFee,
-        tx_hash: hash,
-        type: 'p2p_command',
-        tweet_id: tweetId,
-        payer_pay_tag: senderProfile.pay_tag,
-        recipient_pay_tag: profile.pay_tag
-      });
-      
-      await syncToMainLedger({
-        senderWalletAddress: senderProfile.wallet_address,
-        receiverWalletAddress: profile.wallet_address,
-        senderPayTag: senderProfile.pay_tag,
-        receiverPayTag: profile.pay_tag,
-        amount: netAmount,
-        fee: actualFee,
-        txHash: hash,
-        monibotType: 'p2p',
-        tweetId
+      const outcome = await executeP2PWithIntent({
+        tweetId,
+        senderProfile,
+        receiverProfile: profile,
+        amount: recipient.amount,
+        onchainTweetId,
+        reason: `Batch ${mode}`
       });
-      
-      results.push({ tag: profile.pay_tag || tag, status: 'success', hash });
-      console.log(`      ✅ [BSC] Sent $${amount} USDT to @${tag} (${hash.substring(0, 18)}...)`);
-      
+
+      // Broadcast with an unknown outcome: intent recovery logs it, and the
+      // next resume sees it on-chain
+      if (!outcome) {
+        console.log(`      🩹 @${recipient.tag} left for intent recovery`);
+        continue;
+      }
+
+      Object.assign(recipient, { state: 'paid', hash: outcome.hash });
+      console.log(`      ✅ [BSC] Sent $${recipient.amount} USDT to @${recipient.tag} (${outcome.hash.substring(0, 18)}...)`);
+
     } catch (txError) {
-      console.error(`      ❌ Failed for @${tag}:`, txError.message);
-      
+      console.error(`      ❌ Failed for @${recipient.tag}:`, txError.message);
+
+      const code = getP2PErrorCode(txError.message);
       let reason = 'Transaction failed';
-      if (txError.message.includes('ERROR_BALANCE')) reason = 'Insufficient balance';
-      else if (txError.message.includes('ERROR_ALLOWANCE')) reason = 'Insufficient allowance';
-      else if (txError.message.includes('ERROR_DUPLICATE')) reason = 'Already processed';
-      
-      await logTransaction({
-        sender_id: senderProfile.id,
-        receiver_id: profile.id,
-        amount,
-        fee: 0,
-        tx_hash: `ERROR_BATCH_${txError.message.split(':')[0] || 'UNKNOWN'}`,
-        type: 'p2p_command',
-        tweet_id: tweetId,
-        payer_pay_tag: senderProfile.pay_tag,
-        recipient_pay_tag: profile.pay_tag || tag
-      });
-      
-      results.push({ tag, status: 'failed', reason });
-      
-      if (reason === 'Insufficient balance' || reason === 'Insufficient allowance') {
-        const remaining = resolvedRecipients.slice(resolvedRecipients.indexOf(resolvedRecipients.find(r => r.tag === tag)) + 1);
-        for (const r of remaining) {
-          results.push({ tag: r.tag, status: 'failed', reason: `${reason} (batch stopped)` });
-        }
-        break;
+      if (code === 'ERROR_BALANCE') reason = 'Insufficient balance';
+      else if (code === 'ERROR_ALLOWANCE') reason = 'Insufficient allowance';
+      else if (code === 'ERROR_DUPLICATE_TWEET') reason = 'Already processed';
+
+      Object.assign(recipient, { state: 'failed', reason, code });
+      await logRecipientFailure({ tweetId, senderProfile, mode, recipient, reason: txError.message });
+
+      if (code === 'ERROR_BALANCE' || code === 'ERROR_ALLOWANCE') {
+        stop = { reason, code };
       }
     }
+
+    await saveBatch(batch);
   }
-  
-  const successCount = results.filter(r => r.status === 'success').length;
-  const failedCount = results.filter(r => r.status === 'failed').length;
-  
-  return {
-    results,
-    summary: {
-      total: recipientTags.length,
-      success: successCount,
-      failed: failedCount
+
+  if (batch.recipients.every(r => r.state !== 'pending')) {
+    batch.status = 'completed';
+  }
+  await saveBatch(batch);
+
+  return summarize(batch);
+}
+
+/**
+ * Start (or, for a tweet that already has a batch row, resume) a
+ * multi-recipient batch. With allOrNothing, nothing is sent unless every
+ * recipient resolves and balance and allowance cover the whole total.
+ */
+export async function executeMultiRecipientP2P({ senderProfile, recipients, mode = 'each', allOrNothing = false, tweetId }) {
+  const existing = await getBatch(tweetId);
+  if (existing) {
+    console.log(`   ♻️ [BSC] Resuming ${existing.status} batch for ${tweetId}`);
+    return existing.status === 'running' ? runBatch(existing, senderProfile) : summarize(existing);
+  }
+
+  const { planned, refusal } = await planBatch({ tweetId, senderProfile, recipients, mode, allOrNothing });
+
+  if (refusal) {
+    console.log(`   🛑 [BSC] All-or-nothing batch refused: ${refusal}`);
+    const refused = await createBatch({
+      tweetId,
+      senderProfile,
+      mode,
+      allOrNothing,
+      status: 'refused',
+      recipients: planned.map(r => ({ ...r, state: 'failed', reason: r.reason || 'Batch refused' }))
+    });
+    return { ...summarize(refused), refusal };
+  }
+
+  const batch = await createBatch({
+    tweetId,
+    senderProfile,
+    mode,
+    allOrNothing,
+    status: 'running',
+    recipients: planned
+  });
+
+  const pendingTotal = sumAmounts(planned.filter(r => r.state === 'pending'));
+  console.log(`   📦 [BSC] Batch (${mode}${allOrNothing ? ', all or nothing' : ''}): $${pendingTotal} USDT to ${planned.filter(r => r.state === 'pending').length} recipient(s)`);
+
+  return runBatch(batch, senderProfile);
+}
+
+// A running batch untouched for this long lost its worker mid-run
+const BATCH_STALE_MS = parseInt(process.env.INTENT_STALE_MS) || 10 * 60 * 1000;
+
+/**
+ * Resume batches a previous run left 'running'. Call after recoverIntents(),
+ * so every payment the journal knew about is settled before recipients are
+ * re-checked on-chain.
+ */
+export async function resumeBatches() {
+  const supabase = getSupabase();
+  const staleBefore = new Date(Date.now() - BATCH_STALE_MS).toISOString();
+
+  const { data: batches, error } = await supabase
+    .from(BATCHES_TABLE)
+    .select('*')
+    .eq('chain', 'BSC')
+    .eq('status', 'running')
+    .lt('updated_at', staleBefore)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('❌ Failed to fetch unfinished batches:', error.message);
+    return;
+  }
+
+  if (!batches || batches.length === 0) {
+    return;
+  }
+
+  console.log(`♻️ [BSC] Resuming ${batches.length} unfinished batch(es)...`);
+
+  for (const batch of batches) {
+    try {
+      if (await hasOpenIntent(batch.tweet_id)) {
+        console.log(`   ⏳ Batch ${batch.tweet_id} still has a payment in flight, skipping`);
+        continue;
+      }
+
+      const senderProfile = await getProfileById(batch.sender_id);
+      if (!senderProfile?.wallet_address) {
+        console.error(`   ❌ Sender for batch ${batch.tweet_id} not found`);
+        continue;
+      }
+
+      const { summary } = await runBatch(batch, senderProfile);
+      console.log(`   📊 Batch ${batch.tweet_id}: ${summary.success}/${summary.total} successful`);
+    } catch (err) {
+      console.error(`   ❌ Resume failed for batch ${batch.tweet_id}:`, err.message);
     }
-  };
+  }
+}
+
+const formatAmount = (amount) => `$${Number(amount).toFixed(2).replace(/\.00$/, '')}`;
+
+/**
+ * "$5 USDT each to @a, @b" when every recipient got the same amount,
+ * otherwise "$1 to @a, $3 to @b" with each recipient's own amount.
+ */
+function describePayments(entries, mode) {
+  const amounts = new Set(entries.map(e => e.amount));
+  if (entries.length > 1 && amounts.size === 1 && mode !== 'split') {
+    return `${formatAmount(entries[0].amount)} USDT each to ${entries.map(e => `@${e.tag}`).join(', ')}`;
+  }
+  return entries.map(e => `${formatAmount(e.amount)} to @${e.tag}`).join(', ');
 }
 
-export function buildMultiRecipientReply(amount, results, summary) {
-  const successTags = results.filter(r => r.status === 'success').map(r => `@${r.tag}`);
+export function buildMultiRecipientReply(results, summary) {
+  const successEntries = results.filter(r => r.status === 'success');
   const failedEntries = results.filter(r => r.status === 'failed');
+  const verb = summary.mode === 'split'
+    ? `Split ${formatAmount(sumAmounts(successEntries))} USDT:`
+    : 'Sent';
   
   if (summary.success === summary.total) {
-    return `Sent $${amount} USDT each to ${successTags.join(', ')} (${summary.success}/${summary.total} successful)`;
+    return `${verb} ${describePayments(successEntries, summary.mode)} (${summary.success}/${summary.total} successful)`;
   }
   
   if (summary.success === 0) {
@@ -207,5 +496,5 @@ export function buildMultiRecipientReply(amount, results, summary) {
     .map(f => `@${f.tag}: ${f.reason}`)
     .join(', ');
   
-  return `Sent $${amount} USDT to ${successTags.join(', ')} (${summary.success}/${summary.total}). Failed: ${failedSummary}`;
+  return `${verb} ${describePayments(successEntries, summary.mode)} (${summary.success}/${summary.total}). Failed: ${failedSummary}`;
 }
@@ -0,0 +1,335 @@
+/**
+ * MoniBot BSC Worker - Reply Outbox
+ *
+ * Drains unreplied monibot_transactions rows and tells the user what happened
+ * to their command. Rows for the same tweet are coalesced into one reply
+ * (multi-recipient batches become a batch summary), posted through the
+ * rate-limited publisher named by REPLY_PUBLISHER, and only marked
+ * `replied = true` once that post succeeds. Rows whose outcome has no
+ * template are closed without a post.
+ *
+ * Off unless ENABLE_REPLY_OUTBOX=true, so it never double-replies alongside
+ * another service that drains the same rows. The default 'stub' publisher is
+ * a dry run: it logs each reply once and leaves the rows unreplied, so a
+ * real publisher still answers them later.
+ */
+
+import {
+  getUnrepliedTransactions,
+  getUnrepliedForTweets,
+  markReplied
+} from './database.js';
+import { MONIBOT_ROUTER_ADDRESS } from './blockchain.js';
+import { buildMultiRecipientReply } from './multiRecipient.js';
+import { CONFIRM_WINDOW_MINUTES } from './paymentConfirmations.js';
+import { replyToTweet } from './twitter.js';
+
+const REPLY_PUBLISHER = process.env.REPLY_PUBLISHER || 'stub';
+const REPLIES_PER_HOUR = parseInt(process.env.REPLIES_PER_HOUR) || 30;
+
+// Rows older than this are never replied to (e.g. when the outbox is first enabled)
+const OUTBOX_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_REPLY_LENGTH = 280;
+
+const BSCSCAN_TX_URL = 'https://bscscan.com/tx/';
+
+// ============ Publishers ============
+
+const publishers = new Map();
+
+/**
+ * Register a reply publisher: post({ tweetId, text }) resolves once the reply
+ * is live and throws if it was not posted. A `live: false` publisher posts
+ * nothing, so its rows are never marked replied.
+ */
+export function registerReplyPublisher(name, post, { live = true } = {}) {
+  publishers.set(name, { post, live });
+}
+
+registerReplyPublisher('stub', async ({ tweetId, text }) => {
+  console.log(`   📝 [stub publisher] Reply to ${tweetId}: "${text}"`);
+}, { live: false });
+
+registerReplyPublisher('twitter', async ({ tweetId, text }) => {
+  await replyToTweet(tweetId, text);
+});
+
+/**
+ * Wrap a publisher in a sliding one-hour window. `tryPost` resolves to false
+ * without posting once the window is full.
+ */
+function createRateLimitedPublisher({ post, live }, perHour) {
+  const sentAt = [];
+
+  return {
+    live,
+
+    hasCapacity() {
+      const cutoff = Date.now() - 60 * 60 * 1000;
+      while (sentAt.length > 0 && sentAt[0] < cutoff) {
+        sentAt.shift();
+      }
+      return sentAt.length < perHour;
+    },
+
+    async tryPost(reply) {
+      if (!this.hasCapacity()) return false;
+      await post(reply);
+      sentAt.push(Date.now());
+      return true;
+    }
+  };
+}
+
+let replyPublisher = null;
+
+function getReplyPublisher() {
+  if (!replyPublisher) {
+    const publisher = publishers.get(REPLY_PUBLISHER);
+    if (!publisher) {
+      throw new Error(`Unknown REPLY_PUBLISHER "${REPLY_PUBLISHER}"`);
+    }
+    replyPublisher = createRateLimitedPublisher(publisher, REPLIES_PER_HOUR);
+  }
+  return replyPublisher;
+}
+
+// ============ Templates ============
+
+const usd = (value) => `$${Number(value || 0).toFixed(2).replace(/\.00$/, '')}`;
+const shortAddress = (address) => `${address.substring(0, 6)}…${address.substring(address.length - 4)}`;
+
+function isSuccess(row) {
+  return row.tx_hash?.startsWith('0x');
+}
+
+function renderSuccess(row) {
+  const link = `${BSCSCAN_TX_URL}${row.tx_hash}`;
+
+  if (row.type === 'grant') {
+    return `🎉 @${row.recipient_pay_tag} received ${usd(row.amount)} USDT from this campaign on BSC!\n${link}`;
+  }
+  if (row.type === 'random_pick') {
+    return `🏆 @${row.recipient_pay_tag} won ${usd(row.amount)} USDT in this giveaway!\n${link}`;
+  }
+  return `✅ Sent ${usd(row.amount)} USDT to @${row.recipient_pay_tag} on BSC (fee ${usd(row.fee)}).\n${link}`;
+}
+
+// Batch rows prefix their reason with the batch mode
+const renderLimitDenial = (row) =>
+  `🛑 Spending limit: ${row.error_reason.replace(/^Batch \w+: /, '')}. Nothing was sent.`;
+
+const TEMPLATES = {
+  ERROR_ALLOWANCE: (row) =>
+    `⚠️ Your USDT allowance on BSC is below ${usd(row.amount)}. Approve the MoniBot router (${shortAddress(MONIBOT_ROUTER_ADDRESS)}) for USDT in MoniPay` +
+    (row.status === 'retry_scheduled' ? ' and I\'ll retry automatically.' : ', then send the command again.'),
+  ERROR_BALANCE: (row) =>
+    `⚠️ Not enough USDT on BSC to send ${usd(row.amount)}. Top up your MoniPay wallet` +
+    (row.status === 'retry_scheduled' ? ' and I\'ll retry automatically.' : ', then send the command again.'),
+  DEFERRED_TO_BASE: (row) =>
+    `🔀 Your BSC funds weren't enough, so the payment to @${row.recipient_pay_tag} is going out from your Base wallet instead.`,
+  SCHEDULED_P2P: (row) => {
+    const at = row.error_reason?.match(/at (\S+)$/)?.[1];
+    return `📅 Scheduled ${usd(row.amount)} USDT to @${row.recipient_pay_tag}${at ? ` for ${at.replace('T', ' ').substring(0, 16)} UTC` : ''}.`;
+  },
+  SUBSCRIPTION_CREATED: (row) =>
+    `🔁 Subscription set up: ${usd(row.amount)} USDT to @${row.recipient_pay_tag}, ${row.error_reason}. Reply "cancel subscription" with its #code to stop it.`,
+  PENDING_CLAIM: (row) =>
+    `⏳ @${row.recipient_pay_tag} isn't on MoniPay yet. I'll send your ${usd(row.amount)} USDT once they join and verify their X account (${row.error_reason}). Nothing has left your wallet.`,
+  PENDING_EXPIRED: (row) => `⌛ @${row.recipient_pay_tag} didn't join MoniPay in time, so ${row.error_reason}.`,
+  PENDING_CANCELLED: (row) => `🛑 ${row.error_reason}. Nothing was sent.`,
+  ERROR_PENDING_NOT_FOUND: () => `🤔 I couldn't find a matching pending transfer.`,
+  SUBSCRIPTIONS_LISTED: (row) => `📋 Your BSC subscriptions: ${row.error_reason}`,
+  SUBSCRIPTION_CANCELLED: (row) => `🛑 ${row.error_reason}.`,
+  ERROR_SUBSCRIPTION_NOT_FOUND: () => `🤔 I couldn't find a matching BSC subscription. Reply "subscriptions" to list yours.`,
+  ERROR_RECURRENCE: (row) => `⚠️ Couldn't set up that subscription. ${row.error_reason}.`,
+  REQUEST_CREATED: (row) =>
+    `🧾 Request ${row.error_reason.split(',')[0]}: @${row.payer_pay_tag}, please pay ${usd(row.amount)} USDT to @${row.recipient_pay_tag}. Reply "@monibot pay" to this tweet to settle it.`,
+  REQUEST_PAID: (row) => `✅ Request ${row.error_reason}. Paid in full!`,
+  REQUEST_PARTIALLY_PAID: (row) => `💸 Request ${row.error_reason}.`,
+  REQUEST_DECLINED: (row) => `🙅 Request ${row.error_reason}.`,
+  REQUEST_EXPIRED: (row) => `⌛ Request ${row.error_reason}.`,
+  ERROR_REQUEST_INVALID: (row) => `⚠️ Couldn't create that request. ${row.error_reason}.`,
+  ERROR_REQUEST_NOT_FOUND: () => `🤔 I couldn't find an open BSC payment request for you there.`,
+  ERROR_REQUEST_CLOSED: (row) => `⏭️ Request ${row.error_reason}.`,
+  // Silent once the parked command is confirmed or expired
+  AWAITING_CONFIRMATION: (row) => row.status !== 'awaiting_confirmation' ? null :
+    `🔐 ${usd(row.amount)} USDT is above your confirmation threshold. Reply "@monibot confirm ${row.error_reason.split(' ')[0].substring(1)}" within ${CONFIRM_WINDOW_MINUTES} minutes to send it.`,
+  CONFIRMATION_EXPIRED: (row) => `⌛ Payment ${row.error_reason}.`,
+  CONFIRM_THRESHOLD_SET: (row) => `⚙️ Got it. I'll ask you to confirm BSC payments above ${usd(row.amount)} USDT.`,
+  ERROR_CONFIRM_THRESHOLD_RAISE: (row) =>
+    `🔐 A tweet can only lower your confirmation threshold. To raise it to ${usd(row.amount)} USDT, change it in your MoniPay profile.`,
+  ERROR_CONFIRMATION_NOT_FOUND: () => `🤔 I couldn't find a payment of yours awaiting that confirmation code.`,
+  ERROR_CONFIRMATION_EXPIRED: (row) => `⌛ Confirmation ${row.error_reason} expired, so nothing was sent. Send the payment again to get a new code.`,
+  LINK_CHALLENGE: (row) =>
+    `🔐 Sign this with your MoniPay wallet within 30 minutes: "${row.error_reason}". Then tweet "@monibot link <wallet> <signature>".`,
+  WALLET_LINKED: (row) => `🔗 Your X account is now linked to @${row.recipient_pay_tag}. You can pay with MoniBot!`,
+  WALLET_UNLINKED: (row) => `✂️ Your X account is no longer linked to @${row.recipient_pay_tag}.`,
+  ERROR_LINK_NO_CHALLENGE: () => `⚠️ No open link challenge. Tweet "@monibot link" to get a new one.`,
+  ERROR_LINK_SIGNATURE: () => `⚠️ That signature doesn't match the wallet and challenge. Nothing was linked.`,
+  ERROR_LINK_WALLET_NOT_FOUND: () => `⚠️ That wallet isn't on a MoniPay profile.`,
+  ERROR_LINK_CONFLICT: (row) => `⚠️ Couldn't link: ${row.error_reason}.`,
+  ERROR_LINK_COOLDOWN: (row) => `⏳ ${row.error_reason}.`,
+  ERROR_NOT_LINKED: () => `🤔 Your X account isn't linked to a MoniPay profile.`,
+  ERROR_SCHEDULE_TIME: () => `⚠️ Couldn't schedule that. Use a time between 1 minute and 90 days from now.`,
+  ERROR_SENDER_NOT_FOUND: (row) => `👋 @${row.payer_pay_tag} link your X account in MoniPay (or tweet "@monibot link") to pay with MoniBot.`,
+  ERROR_AMBIGUOUS_PROFILE: () => `⚠️ That handle matches more than one MoniPay profile, so nothing was sent. Please contact MoniPay support.`,
+  ERROR_TARGET_NOT_FOUND: (row) => `⚠️ @${row.recipient_pay_tag} isn't on MoniPay yet.`,
+  ERROR_LIMIT_PER_TX: (row) => renderLimitDenial(row),
+  ERROR_LIMIT_DAILY: (row) => renderLimitDenial(row),
+  ERROR_LIMIT_WEEKLY: (row) => renderLimitDenial(row),
+  ERROR_LIMIT_RECIPIENT: (row) => renderLimitDenial(row),
+  ERROR_LIMIT_RATE: (row) => `🛑 Slow down: ${row.error_reason}. Nothing was sent, try again later.`,
+  ERROR_LIMIT_NEW_RECIPIENT: (row) =>
+    `🛑 ${row.error_reason.replace(/^Batch \w+: /, '')}. Send the command again after the new-recipient cooldown.`,
+  ERROR_BATCH_REFUSED: (row) =>
+    `🛑 All-or-nothing batch not started (${row.error_reason.replace(/^Batch \w+: /, '')}). No funds were moved.`,
+  ERROR_TREASURY_EMPTY: () => `⚠️ The campaign treasury is empty right now, so this grant couldn't be paid.`,
+  LIMIT_REACHED: () => `⏰ This campaign has reached its limit. Thanks for joining!`
+};
+
+const FAILURE_FALLBACK = (row) =>
+  `⚠️ The payment${row.recipient_pay_tag ? ` to @${row.recipient_pay_tag}` : ''} didn't go through on BSC. No funds were moved.`;
+
+export function renderRow(row) {
+  if (isSuccess(row)) return renderSuccess(row);
+
+  const template = TEMPLATES[row.tx_hash];
+  if (template) return template(row);
+
+  // Duplicates were already answered by the original outcome
+  if (row.tx_hash.startsWith('ERROR_DUPLICATE')) return null;
+  if (row.tx_hash.startsWith('ERROR_')) return FAILURE_FALLBACK(row);
+  return null;
+}
+
+function isBatchGroup(rows) {
+  return rows.length > 1 &&
+    rows.every(r => r.type === 'p2p_command' && (isSuccess(r) || r.tx_hash.startsWith('ERROR_')));
+}
+
+const BATCH_REASONS = {
+  TARGET_NOT_FOUND: 'not on MoniPay',
+  SELF_PAYMENT: 'that\'s you',
+  BALANCE: 'insufficient balance',
+  ALLOWANCE: 'insufficient allowance',
+  AMBIGUOUS_PROFILE: 'matches more than one profile',
+  DUPLICATE_TWEET: 'already processed',
+  LIMIT_PER_TX: 'over your per-payment limit',
+  LIMIT_DAILY: 'daily limit reached',
+  LIMIT_WEEKLY: 'weekly limit reached',
+  LIMIT_RECIPIENT: 'recipient limit reached',
+  LIMIT_NEW_RECIPIENT: 'new recipient cooldown'
+};
+
+function describeBatchFailure(code) {
+  const bare = code.replace(/^(?:ERROR_|BATCH_)+/, '');
+  return BATCH_REASONS[bare] || bare.toLowerCase().replace(/_/g, ' ');
+}
+
+// Batch rows carry their mode in error_reason ("Batch split", "Batch each: ...")
+function getBatchMode(rows) {
+  const match = rows.map(r => r.error_reason?.match(/^Batch (\w+)/)).find(Boolean);
+  return match?.[1] || 'each';
+}
+
+function renderBatch(rows) {
+  const results = rows.map(r => isSuccess(r)
+    ? { tag: r.recipient_pay_tag, amount: Number(r.amount) + Number(r.fee || 0), status: 'success' }
+    : { tag: r.recipient_pay_tag, amount: Number(r.amount), status: 'failed', reason: describeBatchFailure(r.tx_hash) });
+  const success = results.filter(r => r.status === 'success').length;
+
+  return buildMultiRecipientReply(results, {
+    total: results.length,
+    success,
+    failed: results.length - success,
+    mode: getBatchMode(rows)
+  });
+}
+
+/**
+ * One reply for every outbox row of a tweet, or null when none of them has
+ * anything to say.
+ */
+export function renderReply(rows) {
+  if (isBatchGroup(rows)) {
+    return renderBatch(rows);
+  }
+
+  const lines = [...new Set(rows.map(renderRow).filter(Boolean))];
+  if (lines.length === 0) return null;
+
+  const text = lines.join('\n');
+  return text.length > MAX_REPLY_LENGTH ? `${text.substring(0, MAX_REPLY_LENGTH - 1)}…` : text;
+}
+
+// ============ Drain ============
+
+function groupByTweet(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row.tweet_id)) groups.set(row.tweet_id, []);
+    groups.get(row.tweet_id).push(row);
+  }
+  return groups;
+}
+
+// Tweets a dry-run publisher has already logged, so its unreplied rows are
+// not logged again every cycle
+const previewedTweets = new Set();
+
+export async function drainOutbox() {
+  try {
+    const publisher = getReplyPublisher();
+    if (!publisher.hasCapacity()) {
+      console.log('📮 [BSC] Reply outbox rate limit reached, waiting.');
+      return;
+    }
+
+    const since = new Date(Date.now() - OUTBOX_MAX_AGE_MS);
+    const candidates = await getUnrepliedTransactions({ since });
+    if (candidates.length === 0) return;
+
+    const tweetIds = [...new Set(candidates.map(r => r.tweet_id))];
+    const groups = groupByTweet(await getUnrepliedForTweets(tweetIds));
+
+    console.log(`📮 [BSC] Outbox: ${groups.size} tweet(s) to answer`);
+
+    for (const [tweetId, rows] of groups) {
+      const rowIds = rows.map(r => r.id);
+      const text = /^\d+$/.test(tweetId) ? renderReply(rows) : null;
+
+      if (!publisher.live) {
+        if (text && !previewedTweets.has(tweetId)) {
+          previewedTweets.add(tweetId);
+          await publisher.tryPost({ tweetId, text });
+        }
+        continue;
+      }
+
+      if (!text) {
+        await markReplied(rowIds);
+        continue;
+      }
+
+      let posted;
+      try {
+        posted = await publisher.tryPost({ tweetId, text });
+      } catch (error) {
+        console.error(`   ❌ Reply to ${tweetId} failed:`, error.message);
+        if (error.code === 429) break;
+        continue;
+      }
+
+      if (!posted) {
+        console.log('   ⏸️ Reply rate limit reached, resuming next cycle.');
+        break;
+      }
+
+      await markReplied(rowIds);
+      console.log(`   💬 Replied to ${tweetId} (${rows.length} row(s))`);
+    }
+  } catch (error) {
+    console.error('❌ Error draining reply outbox:', error.message);
+  }
+}
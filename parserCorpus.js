@@ -0,0 +1,139 @@
+/**
+ * MoniBot BSC Worker - Command Parser Corpus
+ *
+ * Table-driven regression cases for parseCommand (commandParser.js):
+ *
+ *   npm run check:parser
+ *
+ * Each case is a tweet and either the fields the parsed command must have
+ * (`expect`, compared field by field) or the SKIP_* reason it must be
+ * rejected with (`reason`). `recurring` also checks hasRecurrence, which
+ * decides whether the command becomes a subscription. Add a case with every
+ * parser fix.
+ */
+
+import { pathToFileURL } from 'url';
+import { parseCommand, PARSE_REASONS } from './commandParser.js';
+import { hasRecurrence } from './scheduler.js';
+
+const one = (tag, amount) => [{ tag, amount }];
+
+export const PARSER_CASES = [
+  // ---- Single recipient, amount forms ----
+  { text: '@monibot send $5 usdt to @alice', expect: { verb: 'send', mode: 'each', amount: 5, total: 5, recipients: one('alice', 5) } },
+  { text: '@monibot pay @alice 5', expect: { verb: 'pay', amount: 5, recipients: one('alice', 5) } },
+  { text: '@monibot send $1,000 to @alice', expect: { amount: 1000 } },
+  { text: '@monibot send 2k usdt to @alice', expect: { amount: 2000 } },
+  { text: '@monibot send 5.5usdt to @alice', expect: { amount: 5.5, token: 'USDT' } },
+  { text: '@monibot send 10 usd to @alice', expect: { amount: 10, token: 'USD' } },
+  { text: '@monibot send $0.50 to @alice', expect: { amount: 0.5 } },
+  { text: '@monibot send $.25 to @alice', expect: { amount: 0.25 } },
+  { text: '@monibot send $ 7 to @alice', expect: { amount: 7 } },
+  { text: '@monibot send $5 to @Alice', expect: { recipients: one('alice', 5) } },
+  { text: '@someone @monibot send $5 to @alice', expect: { recipients: one('alice', 5) } },
+
+  // ---- Multiple recipients ----
+  { text: '@monibot send $5 each to @alice @bob', expect: { mode: 'each', amount: 5, total: 10, each: true, recipients: [{ tag: 'alice', amount: 5 }, { tag: 'bob', amount: 5 }] } },
+  { text: '@monibot pay @alice $5, @bob $3', expect: { mode: 'per_recipient', amount: null, total: 8, recipients: [{ tag: 'alice', amount: 5 }, { tag: 'bob', amount: 3 }] } },
+  { text: '@monibot send $1 to @alice, $3 to @bob', expect: { mode: 'per_recipient', total: 4 } },
+  { text: '@monibot send $5 to @alice @alice', expect: { total: 5, recipients: one('alice', 5) } },
+  { text: '@monibot send $5 to @alice @bob all or nothing', expect: { allOrNothing: true, total: 10 } },
+
+  // ---- Split ----
+  { text: '@monibot split $30 usdt between @alice @bob @carol', expect: { mode: 'split', total: 30, recipients: [{ tag: 'alice', amount: 10 }, { tag: 'bob', amount: 10 }, { tag: 'carol', amount: 10 }] } },
+  { text: '@monibot split $10 between @alice @bob @carol', expect: { total: 10, recipients: [{ tag: 'alice', amount: 3.34 }, { tag: 'bob', amount: 3.33 }, { tag: 'carol', amount: 3.33 }] } },
+  { text: '@monibot split $0.01 between @alice @bob', reason: PARSE_REASONS.INVALID_AMOUNT },
+  { text: '@monibot split $10 $5 between @alice @bob', reason: PARSE_REASONS.AMBIGUOUS_AMOUNT },
+
+  // ---- Memo ----
+  { text: '@monibot pay @alice $10 for dinner', expect: { amount: 10, memo: 'dinner' } },
+  { text: '@monibot pay @alice $10 for 2 pizzas', expect: { amount: 10, memo: '2 pizzas', recipients: one('alice', 10) } },
+  { text: '@monibot send $5 for each of @alice @bob', expect: { total: 10, memo: null } },
+  { text: '@monibot pay @a $5 for base rent', expect: { memo: 'base rent', network: null } },
+  { text: '@monibot pay @a $5 for rent on base', expect: { memo: 'rent', network: 'base' } },
+
+  // ---- Networks and tokens ----
+  { text: '@monibot send $5 usdt to @alice on bnb', expect: { network: 'bsc', token: 'USDT' } },
+  { text: '@monibot send $5 to @alice on bsc', expect: { network: 'bsc' } },
+  { text: '@monibot send $5 usdc to @alice on base', expect: { network: 'base', token: 'USDC' } },
+  { text: '@monibot send 5 bnb to @bob', reason: PARSE_REASONS.UNSUPPORTED_TOKEN },
+  { text: '@monibot send $5 eth to @bob', reason: PARSE_REASONS.UNSUPPORTED_TOKEN },
+
+  // ---- Schedules ----
+  { text: '@monibot send $5 to @alice tomorrow at 9am', expect: { amount: 5, timePhrase: 'tomorrow at 9am' } },
+  { text: '@monibot pay @alice $20 in 2 hours', expect: { amount: 20, timePhrase: 'in 2 hours' } },
+  { text: '@monibot pay @alice $10 for friday\'s dinner', expect: { timePhrase: null, memo: 'friday\'s dinner' } },
+  { text: '@monibot pay @alice $10 at 9am', expect: { amount: 10, recipients: one('alice', 10) } },
+  { text: '@monibot pay @alice $10 usdt every friday for 8 weeks', expect: { amount: 10, memo: null, timePhrase: 'every friday for 8 weeks' } },
+  { text: '@monibot pay @alice $10 every 3 days', expect: { timePhrase: 'every 3 days' }, recurring: true },
+  { text: '@monibot pay @alice $10 weekly for 8 weeks', expect: { timePhrase: 'weekly for 8 weeks' }, recurring: true },
+  { text: '@monibot pay @alice $10 for rent every month', expect: { memo: 'rent', timePhrase: 'every month' }, recurring: true },
+
+  // ---- Recurrence words inside a memo are not a schedule ----
+  { text: '@monibot send $500 usdt to @landlord for monthly rent', expect: { amount: 500, memo: 'monthly rent', timePhrase: null }, recurring: false },
+  { text: '@monibot pay @bob $5 usdt for the daily standup snacks', expect: { amount: 5, memo: 'the daily standup snacks', timePhrase: null }, recurring: false },
+
+  // ---- Rejections ----
+  { text: '@monibot hello @alice', reason: PARSE_REASONS.NO_VERB },
+  { text: '@monibot send $5', reason: PARSE_REASONS.NO_RECIPIENT },
+  { text: '@monibot send to @alice', reason: PARSE_REASONS.NO_AMOUNT },
+  { text: '@monibot send $0 to @alice', reason: PARSE_REASONS.INVALID_AMOUNT },
+  { text: '@monibot send $1.0000001 to @alice', reason: PARSE_REASONS.INVALID_AMOUNT },
+  { text: '@monibot send $1e5 to @bob', reason: PARSE_REASONS.INVALID_AMOUNT },
+  { text: '@monibot pay @alice $5 @bob', reason: PARSE_REASONS.AMBIGUOUS_AMOUNT },
+  { text: '@monibot send $5 $6 to @alice', reason: PARSE_REASONS.AMBIGUOUS_AMOUNT },
+  { text: '@monibot pay @alice $5, @alice $6', reason: PARSE_REASONS.AMBIGUOUS_AMOUNT }
+];
+
+// ============ Runner ============
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * The differences between a case's expectation and what the parser returned.
+ */
+function checkCase({ text, expect, reason, recurring }) {
+  const result = parseCommand(text);
+
+  if (recurring !== undefined && hasRecurrence(text) !== recurring) {
+    return [`expected hasRecurrence ${recurring}, got ${!recurring}`];
+  }
+
+  if (reason) {
+    return result.ok || result.reason !== reason
+      ? [`expected ${reason}, got ${result.ok ? 'ok' : result.reason}`]
+      : [];
+  }
+  if (!result.ok) {
+    return [`expected ok, got ${result.reason}`];
+  }
+  return Object.entries(expect)
+    .filter(([field, value]) => !same(result[field], value))
+    .map(([field, value]) => `${field}: expected ${JSON.stringify(value)}, got ${JSON.stringify(result[field])}`);
+}
+
+/**
+ * @returns {{passed: number, failed: Array<{text: string, problems: string[]}>}}
+ */
+export function runParserCorpus(cases = PARSER_CASES) {
+  const failed = [];
+
+  for (const parserCase of cases) {
+    const problems = checkCase(parserCase);
+    if (problems.length > 0) {
+      failed.push({ text: parserCase.text, problems });
+    }
+  }
+
+  return { passed: cases.length - failed.length, failed };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { passed, failed } = runParserCorpus();
+
+  for (const { text, problems } of failed) {
+    console.error(`❌ "${text}"\n   ${problems.join('\n   ')}`);
+  }
+  console.log(`🧪 Parser corpus: ${passed}/${PARSER_CASES.length} passed`);
+  process.exit(failed.length > 0 ? 1 : 0);
+}
@@ -0,0 +1,366 @@
+/**
+ * MoniBot BSC Worker - Large-Payment Confirmation
+ *
+ * A P2P command above the sender's confirmation threshold is not paid (or
+ * scheduled) straight away. processP2PCommand parks it in
+ * monibot_payment_confirmations (logged as AWAITING_CONFIRMATION) and runs it
+ * only when the same X account id tweets "@monibot confirm <code>" within
+ * CONFIRM_WINDOW_MINUTES. Unconfirmed commands expire (CONFIRMATION_EXPIRED).
+ * A confirmed command stays 'confirmed' until its re-run has an outcome and
+ * it becomes 'executed'; redriveConfirmations re-runs the ones a stopped
+ * worker or failed write left behind.
+ *
+ * Thresholds are per user in monibot_user_settings, otherwise
+ * CONFIRM_THRESHOLD_USDT applies. "@monibot confirm above $50" can only lower
+ * a threshold: raising it would let whoever holds the X account skip this
+ * step, so raises are made from the MoniPay profile.
+ */
+
+import { randomBytes } from 'crypto';
+import {
+  getSupabase,
+  getProfileByXAuthor,
+  isAmbiguousProfileError,
+  logTransaction,
+  resolveAwaitingConfirmation
+} from './database.js';
+
+const CONFIRMATIONS_TABLE = 'monibot_payment_confirmations';
+const SETTINGS_TABLE = 'monibot_user_settings';
+
+const DEFAULT_CONFIRM_THRESHOLD = parseFloat(process.env.CONFIRM_THRESHOLD_USDT) || 100;
+export const CONFIRM_WINDOW_MINUTES = parseInt(process.env.CONFIRM_WINDOW_MINUTES) || 15;
+const CONFIRM_WINDOW_MS = CONFIRM_WINDOW_MINUTES * 60 * 1000;
+
+// A confirmed command untouched for this long lost its worker mid-run
+const CONFIRM_STALE_MS = parseInt(process.env.INTENT_STALE_MS) || 10 * 60 * 1000;
+// Confirmed commands still without an outcome after this are given up on
+const CONFIRM_REDRIVE_MAX_MS = 24 * 60 * 60 * 1000;
+
+// ============ Thresholds ============
+
+export async function getConfirmThreshold(profileId) {
+  const supabase = getSupabase();
+
+  const { data, error } = await supabase
+    .from(SETTINGS_TABLE)
+    .select('confirm_threshold')
+    .eq('profile_id', profileId)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`❌ Failed to load settings for ${profileId}:`, error.message);
+  }
+
+  const threshold = data?.confirm_threshold;
+  return threshold === null || threshold === undefined ? DEFAULT_CONFIRM_THRESHOLD : Number(threshold);
+}
+
+/**
+ * True when a payment of `amount` (a batch's total, a subscription's
+ * per-payment amount) must be confirmed first.
+ */
+export async function requiresConfirmation(senderProfile, amount) {
+  return amount > await getConfirmThreshold(senderProfile.id);
+}
+
+// ============ Parking ============
+
+/**
+ * Park a command tweet until its sender confirms it. The tweet is stored so
+ * the confirmation can re-run it exactly as it was sent.
+ */
+export async function parkForConfirmation({ tweet, author, senderProfile, amount, recipientTag }) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + CONFIRM_WINDOW_MS);
+  const supabase = getSupabase();
+
+  const { data: confirmation, error } = await supabase
+    .from(CONFIRMATIONS_TABLE)
+    .insert({
+      code: randomBytes(3).toString('hex'),
+      chain: 'BSC',
+      status: 'awaiting',
+      sender_id: senderProfile.id,
+      x_user_id: String(author.id),
+      amount,
+      tweet_id: tweet.id,
+      tweet: {
+        id: tweet.id,
+        text: tweet.text,
+        author_id: tweet.author_id,
+        created_at: tweet.created_at,
+        referenced_tweets: tweet.referenced_tweets || null,
+        entities: tweet.entities || null
+      },
+      expires_at: expiresAt.toISOString(),
+      created_at: now.toISOString(),
+      updated_at: now.toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Failed to park command for confirmation:', error.message);
+    throw error;
+  }
+
+  console.log(`   🔐 $${amount} USDT is above @${senderProfile.pay_tag}'s threshold, awaiting "confirm ${confirmation.code}"`);
+
+  await logTransaction({
+    sender_id: senderProfile.id,
+    receiver_id: senderProfile.id,
+    amount,
+    fee: 0,
+    tx_hash: 'AWAITING_CONFIRMATION',
+    type: 'p2p_command',
+    tweet_id: tweet.id,
+    payer_pay_tag: senderProfile.pay_tag,
+    recipient_pay_tag: recipientTag,
+    reason: `#${confirmation.code} until ${expiresAt.toISOString()}`
+  });
+
+  return confirmation;
+}
+
+async function updateConfirmation(id, fields, expectedStatus) {
+  const supabase = getSupabase();
+
+  const { data, error } = await supabase
+    .from(CONFIRMATIONS_TABLE)
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('status', expectedStatus)
+    .select('id');
+
+  if (error) {
+    console.error(`❌ Failed to update confirmation ${id}:`, error.message);
+    return false;
+  }
+  return data.length > 0;
+}
+
+async function expireConfirmation(confirmation) {
+  if (!(await updateConfirmation(confirmation.id, { status: 'expired' }, 'awaiting'))) return;
+
+  console.log(`   ⌛ Confirmation #${confirmation.code} for tweet ${confirmation.tweet_id} expired`);
+  await resolveAwaitingConfirmation(confirmation.tweet_id, 'expired');
+  await logTransaction({
+    sender_id: confirmation.sender_id,
+    receiver_id: confirmation.sender_id,
+    amount: confirmation.amount,
+    fee: 0,
+    tx_hash: 'CONFIRMATION_EXPIRED',
+    type: 'p2p_command',
+    tweet_id: confirmation.tweet_id,
+    reason: `#${confirmation.code} was not confirmed, no funds were moved`
+  });
+}
+
+/**
+ * Expire parked commands whose confirmation window has passed.
+ */
+export async function expireConfirmations() {
+  const supabase = getSupabase();
+
+  const { data, error } = await supabase
+    .from(CONFIRMATIONS_TABLE)
+    .select('*')
+    .eq('chain', 'BSC')
+    .eq('status', 'awaiting')
+    .lte('expires_at', new Date().toISOString());
+
+  if (error) {
+    console.error('❌ Failed to load expired confirmations:', error.message);
+    return;
+  }
+
+  for (const confirmation of data || []) {
+    try {
+      await expireConfirmation(confirmation);
+    } catch (err) {
+      console.error(`   ❌ Expiring confirmation #${confirmation.code} failed:`, err.message);
+    }
+  }
+}
+
+// ============ Commands ============
+
+/**
+ * Recognise "@monibot confirm <code>" and "@monibot confirm above $50".
+ *
+ * @returns {{action: 'confirm', code: string}|{action: 'threshold', amount: number}|null}
+ */
+export function parseConfirmCommand(text) {
+  const threshold = text.match(/\bconfirm\s+(?:payments\s+)?(?:above|over)\s+\$?(\d+(?:\.\d+)?)/i);
+  if (threshold) {
+    return { action: 'threshold', amount: parseFloat(threshold[1]) };
+  }
+
+  const confirm = text.match(/\bconfirm\s+#?([a-f0-9]{6})\b/i);
+  if (confirm) {
+    return { action: 'confirm', code: confirm[1].toLowerCase() };
+  }
+  return null;
+}
+
+async function logConfirmOutcome({ tweet, author, profile, amount = 0, code, reason }) {
+  await logTransaction({
+    sender_id: profile?.id || process.env.MONIBOT_PROFILE_ID,
+    receiver_id: profile?.id || process.env.MONIBOT_PROFILE_ID,
+    amount,
+    fee: 0,
+    tx_hash: code,
+    type: 'confirm_command',
+    tweet_id: tweet.id,
+    payer_pay_tag: profile?.pay_tag || author.username,
+    recipient_pay_tag: null,
+    reason
+  });
+}
+
+async function setThreshold(command, tweet, author) {
+  let profile;
+  try {
+    profile = await getProfileByXAuthor(author);
+  } catch (error) {
+    if (!isAmbiguousProfileError(error)) throw error;
+    console.log(`   ❌ ${error.message}, logging skip.`);
+    await logConfirmOutcome({ tweet, author, code: 'ERROR_AMBIGUOUS_PROFILE', reason: error.message });
+    return;
+  }
+
+  if (!profile) {
+    await logConfirmOutcome({ tweet, author, code: 'ERROR_SENDER_NOT_FOUND' });
+    return;
+  }
+
+  const current = await getConfirmThreshold(profile.id);
+  if (command.amount > current) {
+    console.log(`   🔐 @${profile.pay_tag} tried to raise their threshold from $${current} to $${command.amount} by tweet`);
+    await logConfirmOutcome({ tweet, author, profile, amount: command.amount, code: 'ERROR_CONFIRM_THRESHOLD_RAISE', reason: `threshold stays $${current}` });
+    return;
+  }
+
+  const supabase = getSupabase();
+
+  const { error } = await supabase
+    .from(SETTINGS_TABLE)
+    .upsert({
+      profile_id: profile.id,
+      confirm_threshold: command.amount,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'profile_id' });
+
+  if (error) {
+    throw new Error(`Failed to save settings for ${profile.id}: ${error.message}`);
+  }
+
+  console.log(`   ⚙️ @${profile.pay_tag} now confirms payments above $${command.amount}`);
+  await logConfirmOutcome({ tweet, author, profile, amount: command.amount, code: 'CONFIRM_THRESHOLD_SET' });
+}
+
+async function confirm(command, tweet, author) {
+  const supabase = getSupabase();
+
+  // Only the X account that sent the command can confirm it
+  const { data: confirmation } = await supabase
+    .from(CONFIRMATIONS_TABLE)
+    .select('*')
+    .eq('chain', 'BSC')
+    .eq('code', command.code)
+    .eq('x_user_id', String(author.id))
+    .eq('status', 'awaiting')
+    .maybeSingle();
+
+  if (!confirmation) {
+    console.log(`   ❌ No awaiting confirmation #${command.code} for @${author.username}`);
+    await logConfirmOutcome({ tweet, author, code: 'ERROR_CONFIRMATION_NOT_FOUND' });
+    return null;
+  }
+
+  if (new Date(confirmation.expires_at) <= new Date()) {
+    await expireConfirmation(confirmation);
+    await logConfirmOutcome({ tweet, author, code: 'ERROR_CONFIRMATION_EXPIRED', reason: `#${confirmation.code}` });
+    return null;
+  }
+
+  const claimed = await updateConfirmation(confirmation.id, {
+    status: 'confirmed',
+    confirm_tweet_id: tweet.id,
+    confirmed_at: new Date().toISOString()
+  }, 'awaiting');
+  if (!claimed) return null;
+
+  // The parked row still counts as handled until it is resolved, so the
+  // re-run would skip the command. It stays 'confirmed' for the redrive.
+  if (!(await resolveAwaitingConfirmation(confirmation.tweet_id, 'confirmed'))) {
+    throw new Error(`Could not resolve the parked row for confirmation #${confirmation.code}`);
+  }
+
+  console.log(`   ✅ @${author.username} confirmed #${confirmation.code} ($${confirmation.amount} USDT)`);
+  await logConfirmOutcome({ tweet, author, amount: confirmation.amount, code: 'PAYMENT_CONFIRMED', reason: `#${confirmation.code}` });
+
+  return confirmation;
+}
+
+/**
+ * Handle a confirm or threshold command. Returns the confirmation whose
+ * original tweet (`confirmation.tweet`) the caller re-runs, or null.
+ */
+export async function handleConfirmCommand(command, tweet, author) {
+  if (command.action === 'threshold') {
+    await setThreshold(command, tweet, author);
+    return null;
+  }
+
+  return confirm(command, tweet, author);
+}
+
+// ============ Redrive ============
+
+export async function markConfirmationExecuted(confirmation) {
+  return updateConfirmation(confirmation.id, { status: 'executed' }, 'confirmed');
+}
+
+/**
+ * Re-run confirmed commands that never got an outcome, the way
+ * expireConfirmations closes unconfirmed ones. `rerun(confirmation)` runs the
+ * parked tweet and marks it executed once it has an outcome. Runs in the
+ * recovery pass, after expireConfirmations.
+ */
+export async function redriveConfirmations(rerun) {
+  const supabase = getSupabase();
+  const now = Date.now();
+
+  const { data, error } = await supabase
+    .from(CONFIRMATIONS_TABLE)
+    .select('*')
+    .eq('chain', 'BSC')
+    .eq('status', 'confirmed')
+    .lt('updated_at', new Date(now - CONFIRM_STALE_MS).toISOString())
+    .order('confirmed_at', { ascending: true });
+
+  if (error) {
+    console.error('❌ Failed to load confirmed commands:', error.message);
+    return;
+  }
+
+  for (const confirmation of data || []) {
+    try {
+      if (now - new Date(confirmation.confirmed_at).getTime() > CONFIRM_REDRIVE_MAX_MS) {
+        if (await updateConfirmation(confirmation.id, { status: 'failed' }, 'confirmed')) {
+          console.error(`   ❌ Confirmed command #${confirmation.code} (tweet ${confirmation.tweet_id}) never ran, giving up`);
+        }
+        continue;
+      }
+
+      if (!(await resolveAwaitingConfirmation(confirmation.tweet_id, 'confirmed'))) continue;
+
+      console.log(`   🔁 Re-running confirmed command #${confirmation.code} (tweet ${confirmation.tweet_id})`);
+      await rerun(confirmation);
+    } catch (err) {
+      console.error(`   ❌ Redriving confirmation #${confirmation.code} failed:`, err.message);
+    }
+  }
+}
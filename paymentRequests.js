@@ -0,0 +1,544 @@
+/**
+ * MoniBot BSC Worker - Payment Requests
+ *
+ * Handles commands like: "@monibot request $20 usdt from @alice for dinner"
+ * A request row in monibot_payment_requests holds the amount, memo and
+ * expiry (7 days unless the tweet says "due friday" / "expires in 3 days").
+ * The payer settles it with "@monibot pay request #<code>" (optionally a
+ * partial "$5"), or by replying "@monibot pay" to the request tweet, and
+ * declines it with "decline request #<code>" or a "decline" reply.
+ *
+ * Each payment goes through the intent journal under the payer's tweet id
+ * and is tracked in the request's `payments` list, so partial payments add
+ * up and a payment whose outcome was unknown is settled by the sweep. The
+ * requester is told about every change by a row logged under the request
+ * tweet, which the reply outbox answers.
+ */
+
+import { randomBytes } from 'crypto';
+import {
+  getSupabase,
+  getProfileById,
+  getProfileByMonitag,
+  getProfileByXAuthor,
+  getProfileByXUsername,
+  isAmbiguousProfileError,
+  logTransaction
+} from './database.js';
+import {
+  getOnchainAllowance,
+  getUSDTBalance,
+  getP2PErrorCode,
+  isTweetProcessed
+} from './blockchain.js';
+import { executeP2PWithIntent, hasOpenIntent } from './intentJournal.js';
+import { parseCommand } from './commandParser.js';
+import { parseTimeExpression } from './scheduler.js';
+import { checkCommandRate, checkSpendingLimits } from './spendingPolicy.js';
+import { requiresConfirmation, parkForConfirmation } from './paymentConfirmations.js';
+
+const REQUESTS_TABLE = 'monibot_payment_requests';
+
+const DEFAULT_REQUEST_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_REQUEST_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Amounts are compared with this slack so float sums never leave 1e-12 owed
+const AMOUNT_EPSILON = 1e-6;
+
+const EXPIRY_REGEX = /\b(?:due|expires?|by)\s+(.+)$/i;
+
+// ============ Command Parsing ============
+
+const REPLY_ACTION_REGEX = /^(pay|decline)(?:\s+\$?(\d+(?:\.\d+)?)\s*(?:usdt)?)?[.!]?$/i;
+
+function getRepliedToId(tweet) {
+  return tweet.referenced_tweets?.find(r => r.type === 'replied_to')?.id || null;
+}
+
+/**
+ * Recognize a request command:
+ *   { action: 'create' }
+ *   { action: 'pay', code | replyTo, amount }   amount is null for "the rest"
+ *   { action: 'decline', code | replyTo }
+ * or null when the tweet is not about payment requests.
+ */
+export function parseRequestCommand(tweet) {
+  const text = tweet.text;
+
+  const codeMatch = text.match(/\b(pay|decline)\s+request\s+#?([a-f0-9]{6})\b(?:\s+\$?(\d+(?:\.\d+)?))?/i);
+  if (codeMatch) {
+    return {
+      action: codeMatch[1].toLowerCase(),
+      code: codeMatch[2].toLowerCase(),
+      amount: codeMatch[3] ? parseFloat(codeMatch[3]) : null
+    };
+  }
+
+  const replyTo = getRepliedToId(tweet);
+  const bare = text.replace(/^(?:@[a-zA-Z0-9_]+\s+)+/, '').trim();
+  const replyMatch = replyTo && bare.match(REPLY_ACTION_REGEX);
+  if (replyMatch) {
+    return {
+      action: replyMatch[1].toLowerCase(),
+      replyTo,
+      amount: replyMatch[2] ? parseFloat(replyMatch[2]) : null
+    };
+  }
+
+  if (/@monibot\s+request\b/i.test(text)) {
+    return { action: 'create' };
+  }
+
+  return null;
+}
+
+// ============ Request State ============
+
+async function findRequest({ code, replyTo }) {
+  const supabase = getSupabase();
+
+  let query = supabase
+    .from(REQUESTS_TABLE)
+    .select('*')
+    .eq('chain', 'BSC');
+  query = code ? query.eq('code', code) : query.eq('tweet_id', replyTo);
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Failed to load payment request:', error.message);
+    return null;
+  }
+  return data;
+}
+
+async function updateRequest(id, fields) {
+  const supabase = getSupabase();
+
+  const { error } = await supabase
+    .from(REQUESTS_TABLE)
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (error) {
+    console.error(`❌ Failed to update payment request ${id}:`, error.message);
+  }
+  return !error;
+}
+
+const sumPayments = (payments, state) =>
+  payments.filter(p => p.state === state).reduce((sum, p) => sum + p.amount, 0);
+
+function getRemaining(request) {
+  const payments = request.payments || [];
+  return Number((request.amount - sumPayments(payments, 'paid') - sumPayments(payments, 'pending')).toFixed(6));
+}
+
+// ============ Outcome Logging ============
+
+async function logRequestOutcome({ tweetId, payerProfile, requesterProfile, amount = 0, code, reason, type = 'payment_request' }) {
+  await logTransaction({
+    sender_id: payerProfile?.id || process.env.MONIBOT_PROFILE_ID,
+    receiver_id: requesterProfile?.id || payerProfile?.id || process.env.MONIBOT_PROFILE_ID,
+    amount,
+    fee: 0,
+    tx_hash: code,
+    type,
+    tweet_id: tweetId,
+    payer_pay_tag: payerProfile?.pay_tag || null,
+    recipient_pay_tag: requesterProfile?.pay_tag || null,
+    reason
+  });
+}
+
+// Tell the requester, under their own request tweet
+async function notifyRequester(request, code, reason, amount = 0) {
+  const [requesterProfile, payerProfile] = await Promise.all([
+    getProfileById(request.requester_id),
+    getProfileById(request.payer_id)
+  ]);
+
+  await logRequestOutcome({
+    tweetId: request.tweet_id,
+    payerProfile,
+    requesterProfile,
+    amount,
+    code,
+    reason: `#${request.code}: ${reason}`
+  });
+}
+
+// ============ Creation ============
+
+async function resolveExpiry(text, timePhrase, now) {
+  const phrase = text.match(EXPIRY_REGEX)?.[1] || timePhrase;
+  if (!phrase) {
+    return new Date(now.getTime() + DEFAULT_REQUEST_TTL_MS);
+  }
+
+  const parsed = await parseTimeExpression(phrase, now);
+  const expiresAt = parsed?.scheduledAt;
+  if (!expiresAt || expiresAt <= now || expiresAt.getTime() - now.getTime() > MAX_REQUEST_TTL_MS) {
+    return null;
+  }
+  return expiresAt;
+}
+
+async function createRequest(tweet, author) {
+  const requesterProfile = await getProfileByXAuthor(author);
+  if (!requesterProfile) {
+    console.log(`   ❌ Requester @${author.username} not found, logging skip.`);
+    await logRequestOutcome({ tweetId: tweet.id, code: 'ERROR_SENDER_NOT_FOUND' });
+    return null;
+  }
+
+  // The expiry phrase is not part of the command grammar ("due friday")
+  const expiryIndex = tweet.text.search(EXPIRY_REGEX);
+  const command = parseCommand(expiryIndex >= 0 ? tweet.text.substring(0, expiryIndex) : tweet.text);
+
+  if (!command.ok || command.recipients.length !== 1) {
+    console.log(`   ❌ Could not parse request: ${command.reason || 'more than one payer'}`);
+    await logRequestOutcome({
+      tweetId: tweet.id,
+      requesterProfile,
+      code: 'ERROR_REQUEST_INVALID',
+      reason: 'Use "request $20 usdt from @alice", optionally with "for <memo>" and "due <date>"'
+    });
+    return null;
+  }
+
+  const { amount, memo } = command;
+  const payerTag = command.recipients[0].tag;
+  const payerProfile = await getProfileByMonitag(payerTag) || await getProfileByXUsername(payerTag);
+
+  if (!payerProfile || payerProfile.id === requesterProfile.id) {
+    console.log(`   ❌ Payer @${payerTag} not found in MoniPay.`);
+    await logTransaction({
+      sender_id: requesterProfile.id,
+      receiver_id: requesterProfile.id,
+      amount,
+      fee: 0,
+      tx_hash: 'ERROR_TARGET_NOT_FOUND',
+      type: 'payment_request',
+      tweet_id: tweet.id,
+      payer_pay_tag: requesterProfile.pay_tag,
+      recipient_pay_tag: payerTag
+    });
+    return null;
+  }
+
+  const now = new Date();
+  const expiresAt = await resolveExpiry(tweet.text, command.timePhrase, now);
+  if (!expiresAt) {
+    await logRequestOutcome({
+      tweetId: tweet.id,
+      requesterProfile,
+      payerProfile,
+      amount,
+      code: 'ERROR_REQUEST_INVALID',
+      reason: 'The due date must be in the future and within 90 days'
+    });
+    return null;
+  }
+
+  const supabase = getSupabase();
+
+  const { data: request, error } = await supabase
+    .from(REQUESTS_TABLE)
+    .insert({
+      code: randomBytes(3).toString('hex'),
+      chain: 'BSC',
+      status: 'open',
+      requester_id: requesterProfile.id,
+      payer_id: payerProfile.id,
+      amount,
+      amount_paid: 0,
+      memo,
+      payments: [],
+      expires_at: expiresAt.toISOString(),
+      tweet_id: tweet.id,
+      created_at: now.toISOString(),
+      updated_at: now.toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Failed to create payment request:', error.message);
+    throw error;
+  }
+
+  console.log(`   🧾 Request #${request.code}: $${amount} USDT from @${payerProfile.pay_tag}, due ${expiresAt.toISOString()}`);
+
+  await logRequestOutcome({
+    tweetId: tweet.id,
+    requesterProfile,
+    payerProfile,
+    amount,
+    code: 'REQUEST_CREATED',
+    reason: `#${request.code}${memo ? ` for ${memo}` : ''}, due ${expiresAt.toISOString()}`
+  });
+
+  return request;
+}
+
+// ============ Settlement ============
+
+async function recordPaymentState(request, tweetId, fields) {
+  request.payments = request.payments.map(p => p.tweet_id === tweetId ? { ...p, ...fields } : p);
+  const amountPaid = Number(sumPayments(request.payments, 'paid').toFixed(6));
+  const isPaid = amountPaid >= request.amount - AMOUNT_EPSILON;
+
+  request.amount_paid = amountPaid;
+  if (isPaid) request.status = 'paid';
+
+  await updateRequest(request.id, {
+    payments: request.payments,
+    amount_paid: amountPaid,
+    ...(isPaid && { status: 'paid', paid_at: new Date().toISOString() })
+  });
+}
+
+async function notifyPayment(request, payment, payerPayTag) {
+  const isPaid = request.status === 'paid';
+  await notifyRequester(
+    request,
+    isPaid ? 'REQUEST_PAID' : 'REQUEST_PARTIALLY_PAID',
+    `$${payment.amount} paid by @${payerPayTag} ($${request.amount_paid} of $${request.amount})`,
+    payment.amount
+  );
+}
+
+async function payRequest(request, { tweet, author, payerProfile, amount, confirmed }) {
+  const requesterProfile = await getProfileById(request.requester_id);
+  const remaining = getRemaining(request);
+  const payAmount = Number(Math.min(amount ?? remaining, remaining).toFixed(6));
+
+  if (!requesterProfile?.wallet_address || !(payAmount > 0)) {
+    await logRequestOutcome({
+      tweetId: tweet.id,
+      payerProfile,
+      requesterProfile,
+      code: 'ERROR_REQUEST_CLOSED',
+      reason: `#${request.code} has nothing left to pay`
+    });
+    return;
+  }
+
+  const [balance, allowance] = await Promise.all([
+    getUSDTBalance(payerProfile.wallet_address),
+    getOnchainAllowance(payerProfile.wallet_address)
+  ]);
+  const shortfall = allowance < payAmount ? 'ERROR_ALLOWANCE' : balance < payAmount ? 'ERROR_BALANCE' : null;
+
+  if (shortfall) {
+    console.log(`   ❌ ${shortfall}: need $${payAmount} for request #${request.code}`);
+    await logRequestOutcome({
+      tweetId: tweet.id,
+      payerProfile,
+      requesterProfile,
+      amount: payAmount,
+      code: shortfall,
+      type: 'request_payment'
+    });
+    return;
+  }
+
+  const denial = await checkCommandRate(payerProfile, tweet.id) || (await checkSpendingLimits({
+    senderProfile: payerProfile,
+    payments: [{ receiverProfile: requesterProfile, amount: payAmount }]
+  }))[0];
+
+  if (denial) {
+    console.log(`   🛑 ${denial.code}: ${denial.reason}`);
+    await logRequestOutcome({
+      tweetId: tweet.id,
+      payerProfile,
+      requesterProfile,
+      amount: payAmount,
+      code: denial.code,
+      reason: denial.reason,
+      type: 'request_payment'
+    });
+    return;
+  }
+
+  if (!confirmed && await requiresConfirmation(payerProfile, payAmount)) {
+    await parkForConfirmation({ tweet, author, senderProfile: payerProfile, amount: payAmount, recipientTag: requesterProfile.pay_tag });
+    return;
+  }
+
+  // Recorded before paying, so a crash mid-payment is settled by the sweep
+  const payment = { tweet_id: tweet.id, amount: payAmount, state: 'pending' };
+  request.payments = [...(request.payments || []), payment];
+  if (!(await updateRequest(request.id, { payments: request.payments }))) {
+    throw new Error(`Could not record payment for request #${request.code}`);
+  }
+
+  console.log(`   💸 Paying $${payAmount} USDT toward request #${request.code} (remaining $${remaining})`);
+
+  let outcome;
+  try {
+    outcome = await executeP2PWithIntent({
+      tweetId: tweet.id,
+      senderProfile: payerProfile,
+      receiverProfile: requesterProfile,
+      amount: payAmount,
+      type: 'request_payment',
+      reason: `Request #${request.code}`
+    });
+  } catch (txError) {
+    console.error(`   ❌ Request payment failed:`, txError.message);
+    await recordPaymentState(request, tweet.id, { state: 'failed' });
+    await logRequestOutcome({
+      tweetId: tweet.id,
+      payerProfile,
+      requesterProfile,
+      amount: payAmount,
+      code: getP2PErrorCode(txError.message),
+      type: 'request_payment'
+    });
+    return;
+  }
+
+  if (!outcome) {
+    console.log(`   🩹 Request #${request.code} payment left for recovery`);
+    return;
+  }
+
+  await recordPaymentState(request, tweet.id, { state: 'paid', hash: outcome.hash });
+  await notifyPayment(request, payment, payerProfile.pay_tag);
+}
+
+async function declineRequest(request, { tweet, profile }) {
+  await updateRequest(request.id, { status: 'declined', declined_at: new Date().toISOString() });
+
+  const byPayer = profile.id === request.payer_id;
+  console.log(`   🙅 Request #${request.code} declined by @${profile.pay_tag}`);
+
+  await logRequestOutcome({
+    tweetId: tweet.id,
+    payerProfile: profile,
+    code: 'REQUEST_DECLINED',
+    reason: `#${request.code} declined`
+  });
+
+  if (byPayer && request.tweet_id !== tweet.id) {
+    await notifyRequester(request, 'REQUEST_DECLINED', `declined by @${profile.pay_tag}`);
+  }
+}
+
+async function runRequestCommand(command, tweet, author, { confirmed }) {
+  if (command.action === 'create') {
+    await createRequest(tweet, author);
+    return;
+  }
+
+  const profile = await getProfileByXAuthor(author);
+  if (!profile) {
+    console.log(`   ❌ @${author.username} not found, logging skip.`);
+    await logRequestOutcome({ tweetId: tweet.id, code: 'ERROR_SENDER_NOT_FOUND' });
+    return;
+  }
+
+  const request = await findRequest(command);
+  const mayAct = request && (request.payer_id === profile.id ||
+    (command.action === 'decline' && request.requester_id === profile.id));
+
+  if (!mayAct) {
+    console.log(`   ❌ No matching payment request for @${author.username}`);
+    await logRequestOutcome({ tweetId: tweet.id, payerProfile: profile, code: 'ERROR_REQUEST_NOT_FOUND' });
+    return;
+  }
+
+  if (request.status === 'open' && new Date(request.expires_at) <= new Date()) {
+    await expireRequest(request);
+  }
+
+  if (request.status !== 'open') {
+    console.log(`   ⏭️ Request #${request.code} is ${request.status}`);
+    await logRequestOutcome({
+      tweetId: tweet.id,
+      payerProfile: profile,
+      code: 'ERROR_REQUEST_CLOSED',
+      reason: `#${request.code} is already ${request.status}`
+    });
+    return;
+  }
+
+  if (command.action === 'decline') {
+    await declineRequest(request, { tweet, profile });
+  } else {
+    await payRequest(request, { tweet, author, payerProfile: profile, amount: command.amount, confirmed });
+  }
+}
+
+/**
+ * Create, pay or decline a payment request. Every outcome is logged, so the
+ * tweet counts as processed. A payment above the payer's confirmation
+ * threshold is parked unless `confirmed` (see paymentConfirmations.js).
+ */
+export async function handleRequestCommand(command, tweet, author, { confirmed = false } = {}) {
+  try {
+    await runRequestCommand(command, tweet, author, { confirmed });
+  } catch (error) {
+    // Profiles are resolved before anything is written or paid
+    if (!isAmbiguousProfileError(error)) throw error;
+    console.log(`   ❌ ${error.message}`);
+    await logRequestOutcome({ tweetId: tweet.id, code: 'ERROR_AMBIGUOUS_PROFILE', reason: error.message });
+  }
+}
+
+// ============ Sweep ============
+
+async function expireRequest(request) {
+  request.status = 'expired';
+  await updateRequest(request.id, { status: 'expired' });
+  console.log(`   ⌛ Request #${request.code} expired`);
+  await notifyRequester(request, 'REQUEST_EXPIRED', `expired with $${request.amount_paid} of $${request.amount} paid`);
+}
+
+/**
+ * Settle payments whose outcome was unknown (by their router tweet id) and
+ * expire overdue requests. Runs with intent recovery, after it.
+ */
+export async function sweepPaymentRequests() {
+  const supabase = getSupabase();
+
+  const { data: requests, error } = await supabase
+    .from(REQUESTS_TABLE)
+    .select('*')
+    .eq('chain', 'BSC')
+    .eq('status', 'open')
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('❌ Failed to fetch open payment requests:', error.message);
+    return;
+  }
+
+  for (const request of requests || []) {
+    try {
+      for (const payment of (request.payments || []).filter(p => p.state === 'pending')) {
+        if (await hasOpenIntent(payment.tweet_id)) continue;
+
+        const paid = await isTweetProcessed(payment.tweet_id);
+        await recordPaymentState(request, payment.tweet_id, { state: paid ? 'paid' : 'failed' });
+
+        if (paid) {
+          const payer = await getProfileById(request.payer_id);
+          await notifyPayment(request, payment, payer?.pay_tag || 'unknown');
+        }
+      }
+
+      if (request.status === 'open' && new Date(request.expires_at) <= new Date()) {
+        await expireRequest(request);
+      }
+    } catch (err) {
+      console.error(`   ❌ Sweep failed for request #${request.code}:`, err.message);
+    }
+  }
+}
@@ -0,0 +1,366 @@
+/**
+ * MoniBot BSC Worker - Pending Transfers
+ *
+ * Handles payments to X handles that have not joined MoniPay yet:
+ * "@monibot send $5 usdt to @newfriend". Instead of failing with
+ * ERROR_TARGET_NOT_FOUND, the worker records a pending transfer in
+ * monibot_pending_transfers without moving funds, keyed by the immutable X
+ * user id from the tweet's mention (the handle can be renamed and re-taken).
+ * The watcher looks for a verified profile with that x_user_id, or with the
+ * x_username for transfers recorded without an id; once one appears the
+ * transfer is claimed and paid by a 'pending_transfer' job, which re-checks
+ * spending limits, balance and allowance and pays under the derived tweet id
+ * `<tweet>_claim`.
+ *
+ * Unclaimed transfers expire after PENDING_TRANSFER_TTL_HOURS. Senders cancel
+ * them with "@monibot cancel pending #<code>" (or "to @handle", or "all").
+ */
+
+import { randomBytes } from 'crypto';
+import {
+  getSupabase,
+  getProfileById,
+  getProfileByXAuthor,
+  getProfileByXUserId,
+  getProfileByXUsername,
+  isAmbiguousProfileError,
+  logTransaction
+} from './database.js';
+import { executeDueP2P } from './scheduledPayments.js';
+import { createScheduledJob, registerJobHandler } from './scheduler.js';
+
+const TRANSFERS_TABLE = 'monibot_pending_transfers';
+
+const PENDING_TRANSFER_TTL_MS = (parseInt(process.env.PENDING_TRANSFER_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000;
+
+export function getClaimTweetId(tweetId) {
+  return `${tweetId}_claim`;
+}
+
+async function updateTransfer(id, fields, expectedStatus = null) {
+  const supabase = getSupabase();
+
+  let query = supabase
+    .from(TRANSFERS_TABLE)
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id);
+  if (expectedStatus) {
+    query = query.eq('status', expectedStatus);
+  }
+
+  const { data, error } = await query.select('id');
+
+  if (error) {
+    console.error(`❌ Failed to update pending transfer ${id}:`, error.message);
+    return false;
+  }
+  return data.length > 0;
+}
+
+async function logTransferOutcome({ tweetId, senderProfile, receiverProfile, handle, amount = 0, code, reason, type = 'p2p_command' }) {
+  await logTransaction({
+    sender_id: senderProfile?.id || process.env.MONIBOT_PROFILE_ID,
+    receiver_id: receiverProfile?.id || senderProfile?.id || process.env.MONIBOT_PROFILE_ID,
+    amount,
+    fee: 0,
+    tx_hash: code,
+    type,
+    tweet_id: tweetId,
+    payer_pay_tag: senderProfile?.pay_tag || null,
+    recipient_pay_tag: receiverProfile?.pay_tag || handle || null,
+    reason
+  });
+}
+
+// ============ Creation ============
+
+// The X user id behind an @handle, from the tweet's mention entities
+function getMentionedUserId(tweet, handle) {
+  const mention = tweet.entities?.mentions?.find(m => m.username?.toLowerCase() === handle.toLowerCase());
+  return mention?.id || null;
+}
+
+/**
+ * Record a payment to an X handle with no MoniPay profile. The caller has
+ * already checked the sender's balance and allowance for `amount`.
+ */
+export async function createPendingTransfer({ tweet, senderProfile, handle, amount }) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + PENDING_TRANSFER_TTL_MS);
+  const supabase = getSupabase();
+
+  const { data: transfer, error } = await supabase
+    .from(TRANSFERS_TABLE)
+    .insert({
+      code: randomBytes(3).toString('hex'),
+      chain: 'BSC',
+      status: 'pending',
+      sender_id: senderProfile.id,
+      recipient_handle: handle.toLowerCase(),
+      recipient_x_user_id: getMentionedUserId(tweet, handle),
+      amount,
+      tweet_id: tweet.id,
+      expires_at: expiresAt.toISOString(),
+      created_at: now.toISOString(),
+      updated_at: now.toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Failed to create pending transfer:', error.message);
+    throw error;
+  }
+
+  console.log(`   ⏳ Pending transfer #${transfer.code}: $${amount} USDT for @${handle} until ${expiresAt.toISOString()}`);
+
+  await logTransferOutcome({
+    tweetId: tweet.id,
+    senderProfile,
+    handle,
+    amount,
+    code: 'PENDING_CLAIM',
+    reason: `#${transfer.code} until ${expiresAt.toISOString()}`
+  });
+
+  return transfer;
+}
+
+// ============ Watcher ============
+
+async function getTransfers(statuses, senderId = null) {
+  const supabase = getSupabase();
+
+  let query = supabase
+    .from(TRANSFERS_TABLE)
+    .select('*')
+    .eq('chain', 'BSC')
+    .in('status', statuses)
+    .order('created_at', { ascending: true });
+  if (senderId) {
+    query = query.eq('sender_id', senderId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('❌ Failed to load pending transfers:', error.message);
+    return [];
+  }
+  return data || [];
+}
+
+async function expireTransfer(transfer) {
+  if (!(await updateTransfer(transfer.id, { status: 'expired' }, 'pending'))) return;
+
+  console.log(`   ⌛ Pending transfer #${transfer.code} to @${transfer.recipient_handle} expired`);
+  const senderProfile = await getProfileById(transfer.sender_id);
+  await logTransferOutcome({
+    tweetId: transfer.tweet_id,
+    senderProfile,
+    handle: transfer.recipient_handle,
+    amount: transfer.amount,
+    code: 'PENDING_EXPIRED',
+    reason: `#${transfer.code} unclaimed, no funds were moved`
+  });
+}
+
+// Claim by the recipient's X user id; the handle is only trusted for
+// transfers recorded without one. A recipient matching several profiles is
+// left pending (and expires) rather than paid to one of them.
+async function findRecipientProfile(transfer) {
+  try {
+    return transfer.recipient_x_user_id
+      ? await getProfileByXUserId(transfer.recipient_x_user_id)
+      : await getProfileByXUsername(transfer.recipient_handle);
+  } catch (error) {
+    if (!isAmbiguousProfileError(error)) throw error;
+    console.warn(`   ⚠️ Pending transfer #${transfer.code} to @${transfer.recipient_handle} not claimed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Expire overdue transfers and hand the ones whose recipient now has a
+ * verified profile to a 'pending_transfer' job. Each recipient is looked up once.
+ */
+export async function processPendingTransfers() {
+  const transfers = await getTransfers(['pending']);
+  if (transfers.length === 0) return;
+
+  console.log(`⏳ [BSC] Checking ${transfers.length} pending transfer(s)...`);
+
+  const profilesByRecipient = new Map();
+
+  for (const transfer of transfers) {
+    try {
+      if (new Date(transfer.expires_at) <= new Date()) {
+        await expireTransfer(transfer);
+        continue;
+      }
+
+      const handle = transfer.recipient_handle;
+      const recipientKey = transfer.recipient_x_user_id || `@${handle}`;
+      if (!profilesByRecipient.has(recipientKey)) {
+        profilesByRecipient.set(recipientKey, await findRecipientProfile(transfer));
+      }
+      const receiverProfile = profilesByRecipient.get(recipientKey);
+      if (!receiverProfile?.wallet_address) continue;
+
+      const claimed = await updateTransfer(transfer.id, {
+        status: 'claimed',
+        receiver_id: receiverProfile.id,
+        claimed_at: new Date().toISOString()
+      }, 'pending');
+      if (!claimed) continue;
+
+      await createScheduledJob({
+        type: 'pending_transfer',
+        scheduledAt: new Date(),
+        payload: {
+          transferId: transfer.id,
+          senderProfileId: transfer.sender_id,
+          receiverProfileId: receiverProfile.id,
+          amount: Number(transfer.amount),
+          onchainTweetId: getClaimTweetId(transfer.tweet_id)
+        },
+        sourceTweetId: transfer.tweet_id
+      });
+
+      console.log(`   🎉 @${handle} joined MoniPay, releasing pending transfer #${transfer.code}`);
+    } catch (err) {
+      console.error(`   ❌ Pending transfer #${transfer.code} failed:`, err.message);
+    }
+  }
+}
+
+// ============ Execution ============
+
+async function loadTransfer(id) {
+  const supabase = getSupabase();
+
+  const { data } = await supabase
+    .from(TRANSFERS_TABLE)
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  return data;
+}
+
+async function executePendingTransfer(job, { signal } = {}) {
+  const { payload } = job;
+  let transfer = await loadTransfer(payload.transferId);
+
+  // Only a claimed transfer no cancel reached moves to 'paying', and it can
+  // no longer be cancelled after that. 'paying' is a retry of this job.
+  if (transfer?.status === 'claimed' && !(await updateTransfer(transfer.id, { status: 'paying' }, 'claimed'))) {
+    transfer = await loadTransfer(payload.transferId);
+    if (transfer?.status === 'claimed') {
+      throw new Error(`Could not mark pending transfer #${transfer.code} as paying`);
+    }
+  }
+
+  if (transfer?.status !== 'paying') {
+    console.log(`   ⏭️ Pending transfer ${payload.transferId} is ${transfer?.status || 'missing'}, skipping.`);
+    return { type: 'pending_transfer', executed: false, reason: `TRANSFER_${(transfer?.status || 'missing').toUpperCase()}` };
+  }
+
+  console.log(`⏳ Executing pending transfer #${transfer.code}: $${transfer.amount} USDT to @${transfer.recipient_handle}`);
+
+  const result = await executeDueP2P(job, {
+    senderProfileId: payload.senderProfileId,
+    receiverProfileId: payload.receiverProfileId,
+    amount: payload.amount,
+    onchainTweetId: payload.onchainTweetId,
+    type: 'pending_transfer',
+    requestedAt: transfer.created_at,
+    signal
+  });
+
+  if (result.executed || result.reason === 'SKIP_ALREADY_ONCHAIN') {
+    await updateTransfer(transfer.id, { status: 'paid', tx_hash: result.hash || null }, 'paying');
+  } else if (result.reason !== 'PENDING_RECOVERY') {
+    await updateTransfer(transfer.id, { status: 'failed', failed_reason: result.reason }, 'paying');
+  }
+
+  return { type: 'pending_transfer', transferId: transfer.id, ...result };
+}
+
+registerJobHandler('bsc', 'pending_transfer', { capability: 'p2p', handler: executePendingTransfer });
+
+// ============ Cancelling ============
+
+/**
+ * Recognise "@monibot cancel pending #ab12cd" (or "to @handle", or "all").
+ *
+ * @returns {{all: boolean, code?: string, handle?: string}|null}
+ */
+export function parsePendingCancelCommand(text) {
+  const match = text.match(/\bcancel\s+(?:(all)\s+)?(?:my\s+)?pending(?:\s+(?:transfers?|payments?))?\b\s*(?:#([a-f0-9]{6})\b|to\s+@([a-zA-Z0-9_-]+))?/i);
+  if (!match) return null;
+
+  return {
+    all: !!match[1],
+    code: match[2]?.toLowerCase(),
+    handle: match[3]?.toLowerCase()
+  };
+}
+
+export async function handlePendingCancelCommand(command, tweet, author) {
+  let senderProfile;
+  try {
+    senderProfile = await getProfileByXAuthor(author);
+  } catch (error) {
+    if (!isAmbiguousProfileError(error)) throw error;
+    console.log(`   ❌ ${error.message}, logging skip.`);
+    await logTransferOutcome({ tweetId: tweet.id, handle: author.username, code: 'ERROR_AMBIGUOUS_PROFILE', reason: error.message, type: 'pending_command' });
+    return;
+  }
+
+  if (!senderProfile) {
+    console.log(`   ❌ Sender @${author.username} not found, logging skip.`);
+    await logTransferOutcome({ tweetId: tweet.id, handle: author.username, code: 'ERROR_SENDER_NOT_FOUND' });
+    return;
+  }
+
+  // Claimed transfers are still cancellable until their job starts paying them
+  const open = await getTransfers(['pending', 'claimed'], senderProfile.id);
+
+  // A bare "cancel pending" is unambiguous when there is only one
+  const noSelector = !command.all && !command.code && !command.handle;
+  const targets = open.filter(t =>
+    command.all ||
+    (noSelector && open.length === 1) ||
+    (command.code && t.code === command.code) ||
+    (command.handle && t.recipient_handle === command.handle)
+  );
+
+  const cancelled = [];
+  for (const transfer of targets) {
+    if (await updateTransfer(transfer.id, { status: 'cancelled', cancelled_at: new Date().toISOString() }, transfer.status)) {
+      cancelled.push(transfer);
+    }
+  }
+
+  if (cancelled.length === 0) {
+    console.log(`   ❌ No matching pending transfer for @${author.username}`);
+    await logTransferOutcome({
+      tweetId: tweet.id,
+      senderProfile,
+      code: 'ERROR_PENDING_NOT_FOUND',
+      type: 'pending_command'
+    });
+    return;
+  }
+
+  const summary = cancelled.map(t => `#${t.code} to @${t.recipient_handle}`).join(', ');
+  console.log(`   🛑 Cancelled pending ${summary} for @${author.username}`);
+  await logTransferOutcome({
+    tweetId: tweet.id,
+    senderProfile,
+    code: 'PENDING_CANCELLED',
+    reason: `Cancelled ${summary}`,
+    type: 'pending_command'
+  });
+}
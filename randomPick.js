@@ -0,0 +1,268 @@
+/**
+ * MoniBot BSC Worker - Random Pick Giveaways
+ *
+ * Executes 'random_pick' jobs: "pick N random repliers to win $X".
+ * Entrants are the replies in the source tweet's conversation posted before
+ * the job's scheduled_at, filtered to one entry per X account and per
+ * resolvable profile (not the host), so tagging several @monitags from one
+ * account still enters once. Winners are drawn from a BSC block hash fixed by the schedule:
+ * payload.seed_block when the job committed one, otherwise the first block
+ * at or after scheduled_at. The draw is saved to the job payload before any
+ * payout, so retries pay the same winners, and the seed, entrant list, its
+ * hash and the winners go into the job result for anyone to recompute.
+ *
+ * Draw: seed = blockhash, entrantsHash = keccak256(entrant lines joined by
+ * "\n"), each line "<reply_id>:<profile_id>" sorted by reply id. Winner i is
+ * picked by a partial Fisher-Yates shuffle with
+ * j = i + keccak256(seed ‖ entrantsHash ‖ uint256 i) mod (n - i).
+ */
+
+import { encodePacked, keccak256, toHex } from 'viem';
+import {
+  getSupabase,
+  getProfileById,
+  getProfileByMonitag,
+  getProfileByXAuthor,
+  isAmbiguousProfileError,
+  logTransaction
+} from './database.js';
+import {
+  getBlockHash,
+  getFirstBlockAtOrAfter,
+  getGrantErrorCode,
+  isGrantAlreadyIssued
+} from './blockchain.js';
+import { executeGrantWithIntent, hasOpenIntent } from './intentJournal.js';
+import { extractFirstPayTag, fetchConversationReplies } from './twitter.js';
+import { registerJobHandler } from './scheduler.js';
+
+const MAX_WINNERS = 50;
+
+// Grant errors that will not clear up by retrying the job
+const FINAL_GRANT_ERRORS = new Set(['ERROR_DUPLICATE_GRANT']);
+
+/**
+ * Router grant id for a giveaway. Kept apart from the tweet id so a winner
+ * who also claimed a campaign grant on the same tweet can still be paid.
+ */
+export function getGiveawayCampaignId(sourceTweetId) {
+  return `${sourceTweetId}_giveaway`;
+}
+
+// ============ Entrants ============
+
+function compareTweetIds(a, b) {
+  const diff = BigInt(a) - BigInt(b);
+  return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+}
+
+// A lookup matching several profiles resolves to no one, so it can never
+// pick which of them wins
+async function findEntrantProfile(label, lookup) {
+  try {
+    return await lookup();
+  } catch (error) {
+    if (!isAmbiguousProfileError(error)) throw error;
+    console.warn(`   ⚠️ ${label} skipped: ${error.message}`);
+    return null;
+  }
+}
+
+async function collectEntrants(job) {
+  const endTime = new Date(job.scheduled_at);
+  const { tweets, users } = await fetchConversationReplies(job.source_tweet_id, { endTime });
+  const hostProfile = job.source_author_username
+    ? await findEntrantProfile(`Host check for @${job.source_author_username}`, () =>
+      getProfileByXAuthor({ id: job.source_author_id, username: job.source_author_username }))
+    : null;
+
+  const seen = new Set();
+  const seenAuthors = new Set();
+  const entrants = [];
+
+  // Earliest reply first, so an account's first resolvable reply is its entry
+  for (const reply of [...tweets].sort((a, b) => compareTweetIds(a.id, b.id))) {
+    if (reply.author_id === job.source_author_id || seenAuthors.has(reply.author_id)) continue;
+
+    const author = users.find(u => u.id === reply.author_id);
+    const payTag = extractFirstPayTag(reply.text);
+    const profile = await findEntrantProfile(`Reply ${reply.id}`, () => payTag
+      ? getProfileByMonitag(payTag)
+      : author && getProfileByXAuthor(author));
+
+    if (!profile?.wallet_address) continue;
+    if (profile.id === hostProfile?.id || seen.has(profile.id)) continue;
+
+    seen.add(profile.id);
+    seenAuthors.add(reply.author_id);
+    entrants.push({ replyId: reply.id, profileId: profile.id, payTag: profile.pay_tag });
+  }
+
+  return entrants;
+}
+
+// ============ Draw ============
+
+export function hashEntrants(entrants) {
+  const lines = entrants.map(e => `${e.replyId}:${e.profileId}`).join('\n');
+  return keccak256(toHex(lines));
+}
+
+export function drawWinners(entrants, seed, entrantsHash, count) {
+  const pool = [...entrants];
+  const picks = Math.min(count, pool.length);
+
+  for (let i = 0; i < picks; i++) {
+    const rand = BigInt(keccak256(encodePacked(
+      ['bytes32', 'bytes32', 'uint256'],
+      [seed, entrantsHash, BigInt(i)]
+    )));
+    const j = i + Number(rand % BigInt(pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+
+  return pool.slice(0, picks);
+}
+
+async function runDraw(job) {
+  const { payload } = job;
+  const count = Math.min(parseInt(payload.count) || 1, MAX_WINNERS);
+
+  const seedBlock = payload.seed_block != null
+    ? BigInt(payload.seed_block)
+    : await getFirstBlockAtOrAfter(new Date(job.scheduled_at).getTime());
+  const seed = seedBlock != null ? await getBlockHash(seedBlock) : null;
+  if (!seed) {
+    throw new Error(`Seed block for job ${job.id} not mined yet`);
+  }
+
+  const entrants = await collectEntrants(job);
+  const entrantsHash = hashEntrants(entrants);
+  const winners = drawWinners(entrants, seed, entrantsHash, count);
+
+  return {
+    seedBlock: seedBlock.toString(),
+    seed,
+    entrants: entrants.map(e => `${e.replyId}:${e.profileId}`),
+    entrantsHash,
+    winners
+  };
+}
+
+async function saveDraw(job, draw) {
+  const supabase = getSupabase();
+
+  const { error } = await supabase
+    .from('scheduled_jobs')
+    .update({ payload: { ...job.payload, draw } })
+    .eq('id', job.id);
+
+  if (error) {
+    throw new Error(`Could not save draw for job ${job.id}: ${error.message}`);
+  }
+}
+
+// ============ Payouts ============
+
+async function payWinner(job, winner, amount, campaignId, signal) {
+  const receiverProfile = await getProfileById(winner.profileId);
+  if (!receiverProfile?.wallet_address) {
+    return { status: 'failed', reason: 'ERROR_TARGET_NOT_FOUND' };
+  }
+
+  if (await isGrantAlreadyIssued(campaignId, receiverProfile.wallet_address)) {
+    return { status: 'paid' };
+  }
+  if (await hasOpenIntent(winner.replyId)) {
+    return { status: 'pending_recovery' };
+  }
+
+  try {
+    const outcome = await executeGrantWithIntent({
+      tweetId: winner.replyId,
+      receiverProfile,
+      amount,
+      campaignId,
+      campaignName: `Giveaway ${job.source_tweet_id}`,
+      type: 'random_pick',
+      trackCampaign: false,
+      signal
+    });
+    return outcome ? { status: 'paid', hash: outcome.hash } : { status: 'pending_recovery' };
+  } catch (txError) {
+    // Lost lease: stop the whole payout, the job's next owner resumes it
+    if (signal?.aborted) {
+      throw txError;
+    }
+    console.error(`      ❌ Router Error:`, txError.message);
+    return { status: 'failed', reason: getGrantErrorCode(txError.message), receiverProfile };
+  }
+}
+
+async function executeRandomPick(job, { signal } = {}) {
+  const { payload, source_tweet_id } = job;
+  const amount = Number(payload.grant_amount);
+
+  if (!(amount > 0)) {
+    throw new Error(`random_pick job ${job.id} has no grant_amount`);
+  }
+
+  console.log(`🎲 Executing random pick: ${payload.count} winners for tweet ${source_tweet_id}`);
+
+  let draw = payload.draw;
+  if (!draw) {
+    draw = await runDraw(job);
+    await saveDraw(job, draw);
+    console.log(`   🎰 Drew ${draw.winners.length} of ${draw.entrants.length} entrants (block ${draw.seedBlock})`);
+  }
+
+  const campaignId = getGiveawayCampaignId(source_tweet_id);
+  const isLastAttempt = (job.attempts || 1) >= (job.max_attempts || 3);
+  const winners = [];
+  let retryNeeded = false;
+
+  for (const winner of draw.winners) {
+    console.log(`   🏆 Paying $${amount} USDT to @${winner.payTag}...`);
+    const result = await payWinner(job, winner, amount, campaignId, signal);
+
+    // Transient failures are left unlogged so the job's next attempt can pay
+    if (result.status === 'failed' && !FINAL_GRANT_ERRORS.has(result.reason) &&
+        result.reason !== 'ERROR_TARGET_NOT_FOUND' && !isLastAttempt) {
+      retryNeeded = true;
+    } else if (result.status === 'failed') {
+      await logTransaction({
+        sender_id: process.env.MONIBOT_PROFILE_ID,
+        receiver_id: result.receiverProfile?.id || process.env.MONIBOT_PROFILE_ID,
+        amount: 0,
+        fee: 0,
+        tx_hash: result.reason,
+        campaign_id: campaignId,
+        type: 'random_pick',
+        tweet_id: winner.replyId,
+        payer_pay_tag: 'MoniBot',
+        recipient_pay_tag: winner.payTag
+      });
+    }
+
+    winners.push({ ...winner, status: result.status, hash: result.hash || null, reason: result.reason || null });
+  }
+
+  if (retryNeeded) {
+    throw new Error(`random_pick job ${job.id}: ${winners.filter(w => w.status === 'failed').length} payout(s) failed, retrying`);
+  }
+
+  return {
+    type: 'random_pick',
+    count: payload.count,
+    grant_amount: amount,
+    source_tweet_id,
+    campaign_id: campaignId,
+    seed_block: draw.seedBlock,
+    seed: draw.seed,
+    entrants: draw.entrants,
+    entrants_hash: draw.entrantsHash,
+    winners
+  };
+}
+
+registerJobHandler('bsc', 'random_pick', { capability: 'grant', handler: executeRandomPick });
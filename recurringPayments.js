@@ -0,0 +1,524 @@
+/**
+ * MoniBot BSC Worker - Recurring P2P Payments
+ *
+ * Handles commands like: "@monibot pay @alice $10 usdt every friday for 8 weeks"
+ * A subscription row in monibot_subscriptions holds the recurrence rule; each
+ * occurrence is its own 'recurring_p2p' job paying under a derived tweet id
+ * (`<tweet>_r<n>`), so the router's isTweetUsed dedup covers every occurrence
+ * separately. An occurrence schedules the next one before paying, and repeated
+ * ERROR_BALANCE/ERROR_ALLOWANCE failures suspend the subscription.
+ *
+ * Senders manage them with "@monibot subscriptions" and
+ * "@monibot cancel subscription #<code>" (or "to @tag", or "all").
+ */
+
+import { randomBytes } from 'crypto';
+import {
+  getSupabase,
+  getProfileById,
+  getProfileByXAuthor,
+  isAmbiguousProfileError,
+  logTransaction
+} from './database.js';
+import { executeDueP2P } from './scheduledPayments.js';
+import {
+  createScheduledJob,
+  findRecurrenceRule,
+  parseTimeExpression,
+  registerJobHandler
+} from './scheduler.js';
+
+const SUBSCRIPTIONS_TABLE = 'monibot_subscriptions';
+
+// Used when the command gives neither an end date nor an occurrence count
+const DEFAULT_MAX_OCCURRENCES = 12;
+const MAX_OCCURRENCES = 104;
+const MAX_SUBSCRIPTION_MS = 366 * 24 * 60 * 60 * 1000;
+
+// Consecutive funding failures before a subscription is suspended
+const SUSPEND_AFTER_FAILURES = parseInt(process.env.SUBSCRIPTION_SUSPEND_AFTER) || 3;
+const FUNDING_ERRORS = new Set(['ERROR_BALANCE', 'ERROR_ALLOWANCE']);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export function getOccurrenceTweetId(tweetId, occurrence) {
+  return `${tweetId}_r${occurrence}`;
+}
+
+// ============ Recurrence Parsing ============
+
+function parseTimeOfDay(text, now) {
+  const match = text.match(/\bat\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/i);
+  if (!match) {
+    return { hour: now.getUTCHours(), minute: now.getUTCMinutes() };
+  }
+
+  let hour = parseInt(match[1]) % 24;
+  const meridiem = match[3]?.toLowerCase();
+  if (meridiem === 'pm' && hour < 12) hour += 12;
+  if (meridiem === 'am' && hour === 12) hour = 0;
+
+  return { hour, minute: Math.min(parseInt(match[2] || '0'), 59) };
+}
+
+function parseRule(text, now) {
+  // The frequency comes from the rule phrase alone, never from memo words
+  const phrase = findRecurrenceRule(text)?.[0];
+  if (!phrase) return null;
+
+  const { hour, minute } = parseTimeOfDay(text, now);
+
+  const intervalMatch = phrase.match(/\bevery\s+(\d+)\s+days?\b/i);
+  if (intervalMatch) {
+    const days = parseInt(intervalMatch[1]);
+    return days >= 1 ? { freq: 'interval', days, hour, minute } : null;
+  }
+  if (/\b(?:every\s+day|daily)\b/i.test(phrase)) {
+    return { freq: 'interval', days: 1, hour, minute };
+  }
+
+  const weekdayMatch = phrase.match(/\bevery\s+(mon|tues|wednes|thurs|fri|satur|sun)day\b/i);
+  if (weekdayMatch) {
+    const weekday = WEEKDAYS.indexOf(weekdayMatch[1].substring(0, 3).toLowerCase());
+    return { freq: 'weekly', weekday, hour, minute };
+  }
+  if (/\b(?:every\s+week|weekly)\b/i.test(phrase)) {
+    return { freq: 'weekly', weekday: now.getUTCDay(), hour, minute };
+  }
+
+  if (/\b(?:every\s+month|monthly)\b/i.test(phrase)) {
+    const dayMatch = text.match(/\bon\s+the\s+(\d{1,2})(?:st|nd|rd|th)?\b/i);
+    const day = dayMatch ? parseInt(dayMatch[1]) : now.getUTCDate();
+    return day >= 1 && day <= 31 ? { freq: 'monthly', day, hour, minute } : null;
+  }
+
+  return null;
+}
+
+function atTimeOfDay(date, rule) {
+  const d = new Date(date);
+  d.setUTCHours(rule.hour, rule.minute, 0, 0);
+  return d;
+}
+
+function monthlyDate(year, month, rule) {
+  // "on the 31st" falls on the last day of shorter months
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(rule.day, lastDay), rule.hour, rule.minute));
+}
+
+/**
+ * First occurrence strictly after `now`.
+ */
+export function getFirstOccurrence(rule, now = new Date()) {
+  if (rule.freq === 'monthly') {
+    const candidate = monthlyDate(now.getUTCFullYear(), now.getUTCMonth(), rule);
+    return candidate > now ? candidate : monthlyDate(now.getUTCFullYear(), now.getUTCMonth() + 1, rule);
+  }
+
+  let candidate = atTimeOfDay(now, rule);
+  if (rule.freq === 'weekly') {
+    candidate = new Date(candidate.getTime() + ((rule.weekday - now.getUTCDay() + 7) % 7) * DAY_MS);
+    return candidate > now ? candidate : new Date(candidate.getTime() + 7 * DAY_MS);
+  }
+
+  return candidate > now ? candidate : new Date(candidate.getTime() + DAY_MS);
+}
+
+export function getNextOccurrence(rule, previous) {
+  if (rule.freq === 'monthly') {
+    return monthlyDate(previous.getUTCFullYear(), previous.getUTCMonth() + 1, rule);
+  }
+  const days = rule.freq === 'weekly' ? 7 : rule.days;
+  return new Date(previous.getTime() + days * DAY_MS);
+}
+
+export function describeRule(rule) {
+  const time = `${String(rule.hour).padStart(2, '0')}:${String(rule.minute).padStart(2, '0')} UTC`;
+  if (rule.freq === 'weekly') {
+    return `weekly on ${WEEKDAYS[rule.weekday]} at ${time}`;
+  }
+  if (rule.freq === 'monthly') {
+    return `monthly on day ${rule.day} at ${time}`;
+  }
+  return rule.days === 1 ? `daily at ${time}` : `every ${rule.days} days at ${time}`;
+}
+
+/**
+ * Parse the recurrence and its end condition out of a command.
+ *
+ * @returns {Promise<{rule: object, firstRunAt: Date, endsAt: Date|null, maxOccurrences: number|null}|null>}
+ */
+export async function parseRecurrence(text, now = new Date()) {
+  const rule = parseRule(text, now);
+  if (!rule) return null;
+
+  let maxOccurrences = null;
+  let endsAt = null;
+
+  const countMatch = text.match(/\b(\d+)\s+(?:times|payments|occurrences)\b/i);
+  const durationMatch = text.match(/\bfor\s+(\d+)\s+(days?|weeks?|months?)\b/i);
+  const untilMatch = text.match(/\buntil\s+(.+)$/i);
+
+  if (countMatch) {
+    maxOccurrences = parseInt(countMatch[1]);
+  } else if (durationMatch) {
+    const count = parseInt(durationMatch[1]);
+    const unit = durationMatch[2].toLowerCase();
+    endsAt = new Date(now);
+    if (unit.startsWith('month')) {
+      endsAt.setUTCMonth(endsAt.getUTCMonth() + count);
+    } else {
+      endsAt = new Date(now.getTime() + count * (unit.startsWith('week') ? 7 : 1) * DAY_MS);
+    }
+  } else if (untilMatch) {
+    const untilPhrase = untilMatch[1].replace(/@[a-zA-Z0-9_-]+/g, '').trim();
+    const parsed = await parseTimeExpression(untilPhrase, now);
+    if (!parsed?.scheduledAt || isNaN(parsed.scheduledAt.getTime())) return null;
+    endsAt = parsed.scheduledAt;
+  } else {
+    maxOccurrences = DEFAULT_MAX_OCCURRENCES;
+  }
+
+  return { rule, firstRunAt: getFirstOccurrence(rule, now), endsAt, maxOccurrences };
+}
+
+// ============ Subscription Creation ============
+
+async function logSubscriptionOutcome({ tweet, senderProfile, receiverProfile, amount, code, reason, type = 'p2p_command' }) {
+  await logTransaction({
+    sender_id: senderProfile?.id || process.env.MONIBOT_PROFILE_ID,
+    receiver_id: receiverProfile?.id || senderProfile?.id || process.env.MONIBOT_PROFILE_ID,
+    amount,
+    fee: 0,
+    tx_hash: code,
+    type,
+    tweet_id: tweet.id,
+    payer_pay_tag: senderProfile?.pay_tag || null,
+    recipient_pay_tag: receiverProfile?.pay_tag || null,
+    reason
+  });
+}
+
+/**
+ * Turn a P2P command with a recurrence phrase into a subscription plus the
+ * job for its first occurrence. Unparseable rules, missing/past end dates and
+ * runs longer than MAX_OCCURRENCES or a year are logged as ERROR_RECURRENCE.
+ */
+export async function createSubscription({ tweet, author, senderProfile, receiverProfile, amount }) {
+  const now = new Date();
+  const recurrence = await parseRecurrence(tweet.text, now);
+
+  const invalid = !recurrence ||
+    (recurrence.maxOccurrences !== null && (recurrence.maxOccurrences < 1 || recurrence.maxOccurrences > MAX_OCCURRENCES)) ||
+    (recurrence.endsAt && (recurrence.endsAt < recurrence.firstRunAt || recurrence.endsAt.getTime() > now.getTime() + MAX_SUBSCRIPTION_MS));
+
+  if (invalid) {
+    console.log(`   ❌ Could not build a recurrence from: "${tweet.text}"`);
+    await logSubscriptionOutcome({
+      tweet, senderProfile, receiverProfile, amount,
+      code: 'ERROR_RECURRENCE',
+      reason: `Needs a weekly, monthly or every-N-days rule ending within ${MAX_OCCURRENCES} payments or a year`
+    });
+    return null;
+  }
+
+  const { rule, firstRunAt, endsAt, maxOccurrences } = recurrence;
+  const supabase = getSupabase();
+
+  const { data: subscription, error } = await supabase
+    .from(SUBSCRIPTIONS_TABLE)
+    .insert({
+      code: randomBytes(3).toString('hex'),
+      chain: 'BSC',
+      status: 'active',
+      sender_id: senderProfile.id,
+      receiver_id: receiverProfile.id,
+      amount,
+      rule,
+      ends_at: endsAt?.toISOString() || null,
+      max_occurrences: maxOccurrences,
+      occurrences_created: 0,
+      occurrences_paid: 0,
+      consecutive_failures: 0,
+      source_tweet_id: tweet.id,
+      source_author_id: author.id,
+      source_author_username: author.username
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Failed to create subscription:', error.message);
+    throw error;
+  }
+
+  await scheduleOccurrence(subscription, 1, firstRunAt);
+
+  const limit = maxOccurrences ? `${maxOccurrences} payments` : `until ${endsAt.toISOString()}`;
+  console.log(`   🔁 Subscription #${subscription.code}: $${amount} USDT to @${receiverProfile.pay_tag} ${describeRule(rule)}, ${limit}`);
+
+  await logSubscriptionOutcome({
+    tweet, senderProfile, receiverProfile, amount,
+    code: 'SUBSCRIPTION_CREATED',
+    reason: `#${subscription.code} ${describeRule(rule)}, ${limit}, first at ${firstRunAt.toISOString()}`
+  });
+
+  return subscription;
+}
+
+// ============ Occurrences ============
+
+function isLastOccurrence(subscription, occurrence, nextRunAt) {
+  if (subscription.max_occurrences && occurrence >= subscription.max_occurrences) return true;
+  return !!subscription.ends_at && nextRunAt > new Date(subscription.ends_at);
+}
+
+/**
+ * Create the job for occurrence `n`. The occurrences_created compare-and-set
+ * makes this safe to call again when an occurrence job is retried.
+ */
+async function scheduleOccurrence(subscription, occurrence, scheduledAt) {
+  const supabase = getSupabase();
+
+  const { data: advanced } = await supabase
+    .from(SUBSCRIPTIONS_TABLE)
+    .update({ occurrences_created: occurrence, next_run_at: scheduledAt.toISOString() })
+    .eq('id', subscription.id)
+    .eq('occurrences_created', occurrence - 1)
+    .eq('status', 'active')
+    .select('id');
+
+  if (!advanced?.length) {
+    return null;
+  }
+
+  return createScheduledJob({
+    type: 'recurring_p2p',
+    scheduledAt,
+    payload: {
+      subscriptionId: subscription.id,
+      occurrence,
+      onchainTweetId: getOccurrenceTweetId(subscription.source_tweet_id, occurrence)
+    },
+    sourceTweetId: subscription.source_tweet_id,
+    sourceAuthorId: subscription.source_author_id,
+    sourceAuthorUsername: subscription.source_author_username
+  });
+}
+
+async function updateSubscription(id, fields) {
+  const supabase = getSupabase();
+
+  const { error } = await supabase
+    .from(SUBSCRIPTIONS_TABLE)
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (error) {
+    console.error(`❌ Failed to update subscription ${id}:`, error.message);
+  }
+  return !error;
+}
+
+async function cancelPendingOccurrences(subscriptionId) {
+  const supabase = getSupabase();
+
+  await supabase
+    .from('scheduled_jobs')
+    .update({ status: 'cancelled', completed_at: new Date().toISOString() })
+    .eq('type', 'recurring_p2p')
+    .eq('status', 'pending')
+    .eq('payload->>subscriptionId', subscriptionId);
+}
+
+async function executeRecurringP2P(job, { signal } = {}) {
+  const { subscriptionId, occurrence, onchainTweetId } = job.payload;
+  const supabase = getSupabase();
+
+  const { data: subscription } = await supabase
+    .from(SUBSCRIPTIONS_TABLE)
+    .select('*')
+    .eq('id', subscriptionId)
+    .single();
+
+  if (!subscription || subscription.status !== 'active') {
+    console.log(`   ⏭️ Subscription ${subscriptionId} is ${subscription?.status || 'missing'}, skipping occurrence ${occurrence}.`);
+    return { type: 'recurring_p2p', executed: false, reason: `SUBSCRIPTION_${(subscription?.status || 'missing').toUpperCase()}` };
+  }
+
+  console.log(`🔁 Executing subscription #${subscription.code} occurrence ${occurrence}: $${subscription.amount} USDT`);
+
+  // Schedule the next occurrence first so a crash mid-payment cannot end the series
+  const nextRunAt = getNextOccurrence(subscription.rule, new Date(job.scheduled_at));
+  const isLast = isLastOccurrence(subscription, occurrence, nextRunAt);
+  if (!isLast) {
+    await scheduleOccurrence(subscription, occurrence + 1, nextRunAt);
+  }
+
+  const result = await executeDueP2P(job, {
+    senderProfileId: subscription.sender_id,
+    receiverProfileId: subscription.receiver_id,
+    amount: Number(subscription.amount),
+    onchainTweetId,
+    type: 'recurring_p2p',
+    signal
+  });
+
+  if (result.executed || result.reason === 'SKIP_ALREADY_ONCHAIN') {
+    await updateSubscription(subscription.id, {
+      consecutive_failures: 0,
+      occurrences_paid: (subscription.occurrences_paid || 0) + (result.executed ? 1 : 0),
+      ...(isLast && { status: 'completed' })
+    });
+  } else if (FUNDING_ERRORS.has(result.reason)) {
+    const failures = (subscription.consecutive_failures || 0) + 1;
+    const suspend = failures >= SUSPEND_AFTER_FAILURES;
+
+    await updateSubscription(subscription.id, {
+      consecutive_failures: failures,
+      ...(suspend ? { status: 'suspended', suspended_reason: result.reason } : isLast && { status: 'completed' })
+    });
+
+    if (suspend) {
+      console.log(`   ⏸️ Subscription #${subscription.code} suspended after ${failures} consecutive ${result.reason} failures`);
+      await cancelPendingOccurrences(subscription.id);
+    }
+  } else if (isLast && result.reason !== 'PENDING_RECOVERY') {
+    await updateSubscription(subscription.id, { status: 'completed' });
+  }
+
+  return { type: 'recurring_p2p', subscriptionId, occurrence, onchainTweetId, ...result };
+}
+
+registerJobHandler('bsc', 'recurring_p2p', { capability: 'p2p', handler: executeRecurringP2P });
+
+// ============ Listing & Cancelling ============
+
+/**
+ * Recognise "@monibot subscriptions" and "@monibot cancel subscription ..."
+ *
+ * @returns {{action: 'list'}|{action: 'cancel', code?: string, payTag?: string, all?: boolean}|null}
+ */
+export function parseSubscriptionCommand(text) {
+  const cancelMatch = text.match(/\b(?:cancel|stop)\s+(?:(all)\s+)?(?:my\s+)?subscriptions?\b\s*(?:#([a-f0-9]{6})\b|to\s+@([a-zA-Z0-9_-]+))?/i);
+  if (cancelMatch) {
+    return {
+      action: 'cancel',
+      all: !!cancelMatch[1],
+      code: cancelMatch[2]?.toLowerCase(),
+      payTag: cancelMatch[3]?.toLowerCase()
+    };
+  }
+
+  if (/@monibot\s+(?:list\s+)?(?:my\s+)?subscriptions\b/i.test(text)) {
+    return { action: 'list' };
+  }
+
+  return null;
+}
+
+async function getOpenSubscriptions(senderId) {
+  const supabase = getSupabase();
+
+  const { data, error } = await supabase
+    .from(SUBSCRIPTIONS_TABLE)
+    .select('*')
+    .eq('sender_id', senderId)
+    .eq('chain', 'BSC')
+    .in('status', ['active', 'suspended'])
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('❌ Failed to load subscriptions:', error.message);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * List or cancel the author's BSC subscriptions. The outcome is logged with
+ * type 'subscription_command'; the listing goes in error_reason for the reply.
+ */
+export async function handleSubscriptionCommand(command, tweet, author) {
+  let senderProfile;
+  let lookupError = null;
+  try {
+    senderProfile = await getProfileByXAuthor(author);
+  } catch (error) {
+    if (!isAmbiguousProfileError(error)) throw error;
+    lookupError = error;
+  }
+
+  if (!senderProfile) {
+    console.log(lookupError
+      ? `   ❌ ${lookupError.message}, logging skip.`
+      : `   ❌ Sender @${author.username} not found, logging skip.`);
+    await logTransaction({
+      sender_id: process.env.MONIBOT_PROFILE_ID,
+      receiver_id: process.env.MONIBOT_PROFILE_ID,
+      amount: 0,
+      fee: 0,
+      tx_hash: lookupError ? 'ERROR_AMBIGUOUS_PROFILE' : 'ERROR_SENDER_NOT_FOUND',
+      type: 'subscription_command',
+      tweet_id: tweet.id,
+      payer_pay_tag: author.username,
+      recipient_pay_tag: null,
+      reason: lookupError?.message
+    });
+    return;
+  }
+
+  const subscriptions = await getOpenSubscriptions(senderProfile.id);
+  const receivers = await Promise.all(subscriptions.map(s => getProfileById(s.receiver_id)));
+  const withTags = subscriptions.map((s, i) => ({ ...s, receiverPayTag: receivers[i]?.pay_tag || 'unknown' }));
+
+  if (command.action === 'list') {
+    const summary = withTags.length
+      ? withTags.map(s => `#${s.code} $${s.amount} to @${s.receiverPayTag} ${describeRule(s.rule)}${s.status === 'suspended' ? ' (suspended)' : ''}`).join('; ')
+      : 'No active subscriptions';
+
+    console.log(`   📋 @${author.username} subscriptions: ${summary}`);
+    await logSubscriptionOutcome({
+      tweet, senderProfile, amount: 0,
+      code: 'SUBSCRIPTIONS_LISTED',
+      reason: summary,
+      type: 'subscription_command'
+    });
+    return;
+  }
+
+  // A bare "cancel subscription" is unambiguous when there is only one
+  const noSelector = !command.all && !command.code && !command.payTag;
+  const targets = withTags.filter(s =>
+    command.all ||
+    (noSelector && withTags.length === 1) ||
+    (command.code && s.code === command.code) ||
+    (command.payTag && s.receiverPayTag.toLowerCase() === command.payTag)
+  );
+
+  if (targets.length === 0) {
+    console.log(`   ❌ No matching subscription for @${author.username}`);
+    await logSubscriptionOutcome({
+      tweet, senderProfile, amount: 0,
+      code: 'ERROR_SUBSCRIPTION_NOT_FOUND',
+      type: 'subscription_command'
+    });
+    return;
+  }
+
+  for (const subscription of targets) {
+    await updateSubscription(subscription.id, { status: 'cancelled', cancelled_at: new Date().toISOString() });
+    await cancelPendingOccurrences(subscription.id);
+  }
+
+  const cancelled = targets.map(s => `#${s.code}`).join(', ');
+  console.log(`   🛑 Cancelled ${cancelled} for @${author.username}`);
+  await logSubscriptionOutcome({
+    tweet, senderProfile, amount: 0,
+    code: 'SUBSCRIPTION_CANCELLED',
+    reason: `Cancelled ${cancelled}`,
+    type: 'subscription_command'
+  });
+}
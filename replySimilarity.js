@@ -0,0 +1,281 @@
+/**
+ * MoniBot BSC Worker - Campaign Reply Similarity
+ *
+ * Finds near-duplicate and template replies within a campaign. Each reply is
+ * normalized (lowercase, mentions/links/punctuation dropped), cut into
+ * character shingles and reduced to a MinHash signature, stored in
+ * monibot_reply_signatures. A reply whose estimated Jaccard similarity to an
+ * earlier one reaches SIMILARITY_THRESHOLD joins (or starts) a cluster in
+ * monibot_reply_clusters, where moderators review it.
+ *
+ * The grant flow passes the "similar replies seen" signal to the AI
+ * evaluation, and rejects replies outright once their cluster reaches
+ * SIMILARITY_REJECT_CLUSTER_SIZE. Replies with less than one shingle of text
+ * (a bare "@paytag", the usual way to claim a grant) are not indexed, and
+ * clusters of short replies are left to moderators instead of auto-rejected.
+ */
+
+import { getSupabase } from './database.js';
+
+const SIGNATURES_TABLE = 'monibot_reply_signatures';
+const CLUSTERS_TABLE = 'monibot_reply_clusters';
+
+const SHINGLE_SIZE = 5;
+const NUM_HASHES = 64;
+
+// Normalized length below which a cluster is never auto-rejected
+const MIN_REJECT_TEXT_LENGTH = 20;
+
+const SIMILARITY_THRESHOLD = parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.8;
+const REJECT_CLUSTER_SIZE = parseInt(process.env.SIMILARITY_REJECT_CLUSTER_SIZE) || 5;
+
+// campaign_id → [{ tweetId, clusterId, signature }], loaded once per process
+const indexCache = new Map();
+
+// ============ MinHash ============
+
+// 32-bit finalizer from MurmurHash3
+function mix(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// FNV-1a over UTF-16 code units
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix(i + 1));
+
+/**
+ * Lowercase, drop mentions, links and punctuation, collapse whitespace.
+ * Emoji are kept so emoji-only replies still compare by content.
+ */
+export function normalizeReply(text) {
+  return text
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/@[a-z0-9_-]+/g, ' ')
+    .replace(/[^\p{L}\p{N}\p{Extended_Pictographic}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function getShingles(normalized) {
+  if (normalized.length <= SHINGLE_SIZE) return new Set([normalized]);
+
+  const shingles = new Set();
+  for (let i = 0; i <= normalized.length - SHINGLE_SIZE; i++) {
+    shingles.add(normalized.substring(i, i + SHINGLE_SIZE));
+  }
+  return shingles;
+}
+
+export function minHash(shingles) {
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const shingle of shingles) {
+    const base = hashString(shingle);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const h = mix(base ^ SEEDS[i]);
+      if (h < signature[i]) signature[i] = h;
+    }
+  }
+  return signature;
+}
+
+/**
+ * Estimated Jaccard similarity: the share of matching signature slots.
+ */
+export function estimateSimilarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < NUM_HASHES; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / NUM_HASHES;
+}
+
+// ============ Index ============
+
+async function loadCampaignIndex(campaignId) {
+  if (indexCache.has(campaignId)) return indexCache.get(campaignId);
+
+  const supabase = getSupabase();
+
+  const { data, error } = await supabase
+    .from(SIGNATURES_TABLE)
+    .select('tweet_id, cluster_id, signature')
+    .eq('campaign_id', campaignId);
+
+  if (error) {
+    throw new Error(`Failed to load reply signatures for ${campaignId}: ${error.message}`);
+  }
+
+  const entries = (data || []).map(row => ({
+    tweetId: row.tweet_id,
+    clusterId: row.cluster_id,
+    signature: row.signature
+  }));
+  indexCache.set(campaignId, entries);
+  return entries;
+}
+
+async function getClusterSize(clusterId) {
+  const supabase = getSupabase();
+
+  const { count, error } = await supabase
+    .from(SIGNATURES_TABLE)
+    .select('id', { count: 'exact', head: true })
+    .eq('cluster_id', clusterId);
+
+  if (error) {
+    throw new Error(`Failed to size cluster ${clusterId}: ${error.message}`);
+  }
+  return count || 0;
+}
+
+async function createCluster(campaignId, firstTweetId) {
+  const supabase = getSupabase();
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from(CLUSTERS_TABLE)
+    .insert({
+      campaign_id: campaignId,
+      first_tweet_id: firstTweetId,
+      status: 'flagged',
+      size: 0,
+      created_at: now,
+      updated_at: now
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create reply cluster: ${error.message}`);
+  }
+  return data.id;
+}
+
+async function assignCluster(entries, clusterId) {
+  const supabase = getSupabase();
+
+  const { error } = await supabase
+    .from(SIGNATURES_TABLE)
+    .update({ cluster_id: clusterId })
+    .in('tweet_id', entries.map(e => e.tweetId));
+
+  if (error) {
+    throw new Error(`Failed to assign cluster ${clusterId}: ${error.message}`);
+  }
+  entries.forEach(e => { e.clusterId = clusterId; });
+}
+
+/**
+ * Record the cluster's size, and flip it to 'auto_rejected' once new members
+ * are rejected. Moderators own the review fields.
+ */
+async function updateCluster(clusterId, size, autoReject) {
+  const supabase = getSupabase();
+
+  const fields = { size, updated_at: new Date().toISOString() };
+  if (autoReject) {
+    fields.status = 'auto_rejected';
+  }
+
+  const { error } = await supabase
+    .from(CLUSTERS_TABLE)
+    .update(fields)
+    .eq('id', clusterId);
+
+  if (error) {
+    console.error(`❌ Failed to update reply cluster ${clusterId}:`, error.message);
+  }
+}
+
+/**
+ * Add a campaign reply to the similarity index and cluster it with the
+ * near-identical replies seen before it. Safe to call again for the same
+ * tweet (it is compared against the other replies only).
+ *
+ * `autoReject` is set once the cluster reaches REJECT_CLUSTER_SIZE and the
+ * reply has at least MIN_REJECT_TEXT_LENGTH characters of text.
+ *
+ * @returns {Promise<{similarCount: number, maxSimilarity: number, clusterId: string|null, clusterSize: number, autoReject: boolean}>}
+ */
+export async function indexCampaignReply({ campaignId, reply, author }) {
+  const normalized = normalizeReply(reply.text);
+  if (normalized.length < SHINGLE_SIZE) {
+    return { similarCount: 0, maxSimilarity: 0, clusterId: null, clusterSize: 0, autoReject: false };
+  }
+
+  const entries = await loadCampaignIndex(campaignId);
+  const signature = minHash(getShingles(normalized));
+
+  let entry = entries.find(e => e.tweetId === reply.id);
+  const matches = [];
+  let maxSimilarity = 0;
+
+  for (const other of entries) {
+    if (other.tweetId === reply.id) continue;
+
+    const similarity = estimateSimilarity(signature, other.signature);
+    maxSimilarity = Math.max(maxSimilarity, similarity);
+    if (similarity >= SIMILARITY_THRESHOLD) {
+      matches.push({ entry: other, similarity });
+    }
+  }
+
+  if (!entry) {
+    const supabase = getSupabase();
+
+    const { error } = await supabase
+      .from(SIGNATURES_TABLE)
+      .upsert({
+        campaign_id: campaignId,
+        tweet_id: reply.id,
+        author_id: reply.author_id || author.id,
+        author_username: author.username,
+        normalized_text: normalized.substring(0, 280),
+        signature,
+        created_at: new Date().toISOString()
+      }, { onConflict: 'tweet_id' });
+
+    if (error) {
+      throw new Error(`Failed to index reply ${reply.id}: ${error.message}`);
+    }
+
+    entry = { tweetId: reply.id, clusterId: null, signature };
+    entries.push(entry);
+  }
+
+  if (matches.length === 0) {
+    return { similarCount: 0, maxSimilarity, clusterId: entry.clusterId, clusterSize: 0, autoReject: false };
+  }
+
+  // Join the closest match's cluster, or start one with every match
+  matches.sort((a, b) => b.similarity - a.similarity);
+  let clusterId = entry.clusterId || matches[0].entry.clusterId;
+  if (!clusterId) {
+    clusterId = await createCluster(campaignId, matches[0].entry.tweetId);
+  }
+
+  const joining = [entry, ...matches.map(m => m.entry)].filter(e => !e.clusterId);
+  if (joining.length > 0) {
+    await assignCluster(joining, clusterId);
+  }
+
+  const clusterSize = await getClusterSize(clusterId);
+  const autoReject = clusterSize >= REJECT_CLUSTER_SIZE && normalized.length >= MIN_REJECT_TEXT_LENGTH;
+  await updateCluster(clusterId, clusterSize, autoReject);
+
+  return { similarCount: matches.length, maxSimilarity, clusterId, clusterSize, autoReject };
+}
@@ -0,0 +1,84 @@
+/**
+ * MoniBot BSC Worker - Retry Policy
+ *
+ * Classifies logged failure codes. Terminal codes describe the command itself
+ * (bad syntax, unknown sender, already paid) and are never retried. Retryable
+ * codes describe conditions that can clear up on their own (RPC hiccups, an
+ * empty treasury, the sender topping up or approving more USDT), so those
+ * rows are queued with exponential backoff up to MAX_RETRY_ATTEMPTS.
+ *
+ * Anything not listed as retryable is treated as terminal.
+ */
+
+export const RETRYABLE_CODES = new Set([
+  'ERROR_BLOCKCHAIN',
+  'ERROR_TX_REVERTED',
+  'ERROR_TX_DROPPED',
+  'ERROR_TREASURY_EMPTY',
+  'ERROR_BALANCE',
+  'ERROR_ALLOWANCE',
+  'ERROR_AI_EVALUATION',
+  'ERROR_RULE_CHECK',
+  'ERROR_SIMILARITY_CHECK'
+]);
+
+export const TERMINAL_CODES = new Set([
+  'ERROR_SENDER_NOT_FOUND',
+  'ERROR_TARGET_NOT_FOUND',
+  'ERROR_DUPLICATE_TWEET',
+  'ERROR_DUPLICATE_GRANT',
+  'ERROR_AMBIGUOUS_PROFILE',
+  'SKIP_INVALID_SYNTAX',
+  // Command parser rejections (see commandParser.js)
+  'SKIP_NO_VERB',
+  'SKIP_NO_RECIPIENT',
+  'SKIP_NO_AMOUNT',
+  'SKIP_INVALID_AMOUNT',
+  'SKIP_AMBIGUOUS_AMOUNT',
+  'SKIP_UNSUPPORTED_TOKEN',
+  // Spending policy denials (see spendingPolicy.js)
+  'ERROR_LIMIT_PER_TX',
+  'ERROR_LIMIT_DAILY',
+  'ERROR_LIMIT_WEEKLY',
+  'ERROR_LIMIT_RECIPIENT',
+  'ERROR_LIMIT_RATE',
+  'ERROR_LIMIT_NEW_RECIPIENT'
+]);
+
+// Row types the retry queue can re-run from their original tweet. Rows from
+// scheduled jobs are retried by the job's own attempts instead.
+export const RETRYABLE_COMMAND_TYPES = new Set(['p2p_command', 'grant']);
+
+export const MAX_RETRY_ATTEMPTS = parseInt(process.env.MAX_RETRY_ATTEMPTS) || 5;
+
+const RETRY_BASE_DELAY_MS = parseInt(process.env.RETRY_BASE_DELAY_MS) || 2 * 60 * 1000;
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * @param {string} code - tx_hash / error code logged to monibot_transactions
+ * @returns {'retryable'|'terminal'}
+ */
+export function classifyFailure(code) {
+  return RETRYABLE_CODES.has(code) ? 'retryable' : 'terminal';
+}
+
+export function isRetryableFailure(code, type = 'p2p_command') {
+  return RETRYABLE_COMMAND_TYPES.has(type) && classifyFailure(code) === 'retryable';
+}
+
+/**
+ * Delay before attempt number `retryCount + 1`: 2m, 4m, 8m, ... capped at 6h.
+ */
+export function getRetryDelayMs(retryCount) {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** retryCount, RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * When the next attempt is due, or null once attempts are exhausted.
+ */
+export function getNextRetryAt(retryCount, now = new Date()) {
+  if (retryCount >= MAX_RETRY_ATTEMPTS) {
+    return null;
+  }
+  return new Date(now.getTime() + getRetryDelayMs(retryCount));
+}
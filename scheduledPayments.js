@@ -0,0 +1,227 @@
+/**
+ * MoniBot BSC Worker - Scheduled P2P Payments
+ *
+ * Handles commands like: "@monibot send $5 usdt to @bob tomorrow at 9am"
+ * The sender and recipient are validated when the tweet is seen; the payment
+ * itself runs as a 'scheduled_p2p' job, which re-checks spending limits,
+ * balance and allowance at the due time and pays under a derived tweet id so the router's
+ * isTweetUsed dedup covers the scheduled execution separately.
+ */
+
+import {
+  getProfileById,
+  logTransaction
+} from './database.js';
+import {
+  getOnchainAllowance,
+  getUSDTBalance,
+  isTweetProcessed,
+  getP2PErrorCode
+} from './blockchain.js';
+import { executeP2PWithIntent } from './intentJournal.js';
+import { checkSpendingLimits } from './spendingPolicy.js';
+import {
+  createScheduledJob,
+  parseTimeExpression,
+  registerJobHandler
+} from './scheduler.js';
+
+const MIN_SCHEDULE_LEAD_MS = 60 * 1000;
+const MAX_SCHEDULE_AHEAD_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Router errors that will not clear up by retrying the same job
+const FINAL_P2P_ERRORS = new Set(['ERROR_DUPLICATE_TWEET', 'ERROR_BALANCE', 'ERROR_ALLOWANCE']);
+
+export function getScheduledTweetId(tweetId) {
+  return `${tweetId}_scheduled`;
+}
+
+// ============ Scheduling ============
+
+/**
+ * Turn a P2P command with a time phrase into a scheduled_p2p job.
+ * Both profiles must already be resolved; an unparseable, past or too-distant
+ * time is logged as ERROR_SCHEDULE_TIME.
+ */
+export async function scheduleP2PPayment({ tweet, author, senderProfile, receiverProfile, amount, timePhrase }) {
+  const timeResult = await parseTimeExpression(timePhrase);
+  const now = Date.now();
+  const scheduledAt = timeResult?.scheduledAt;
+
+  if (!scheduledAt || isNaN(scheduledAt.getTime()) ||
+      scheduledAt.getTime() < now + MIN_SCHEDULE_LEAD_MS ||
+      scheduledAt.getTime() > now + MAX_SCHEDULE_AHEAD_MS) {
+    console.log(`   ❌ Could not schedule for "${timePhrase}" (${scheduledAt?.toISOString?.() || 'unparsed'})`);
+    await logTransaction({
+      sender_id: senderProfile.id,
+      receiver_id: receiverProfile.id,
+      amount,
+      fee: 0,
+      tx_hash: 'ERROR_SCHEDULE_TIME',
+      type: 'p2p_command',
+      tweet_id: tweet.id,
+      payer_pay_tag: senderProfile.pay_tag,
+      recipient_pay_tag: receiverProfile.pay_tag,
+      reason: `Unschedulable time phrase: ${timePhrase}`
+    });
+    return null;
+  }
+
+  const job = await createScheduledJob({
+    type: 'scheduled_p2p',
+    scheduledAt,
+    payload: {
+      senderProfileId: senderProfile.id,
+      receiverProfileId: receiverProfile.id,
+      amount,
+      onchainTweetId: getScheduledTweetId(tweet.id),
+      timePhrase: timeResult.parsed
+    },
+    sourceTweetId: tweet.id,
+    sourceAuthorId: author.id,
+    sourceAuthorUsername: author.username
+  });
+
+  console.log(`   📅 Scheduled $${amount} USDT to @${receiverProfile.pay_tag} for ${scheduledAt.toISOString()} (${timeResult.source})`);
+
+  await logTransaction({
+    sender_id: senderProfile.id,
+    receiver_id: receiverProfile.id,
+    amount,
+    fee: 0,
+    tx_hash: 'SCHEDULED_P2P',
+    type: 'p2p_command',
+    tweet_id: tweet.id,
+    payer_pay_tag: senderProfile.pay_tag,
+    recipient_pay_tag: receiverProfile.pay_tag,
+    reason: `Job ${job.id} at ${scheduledAt.toISOString()}`
+  });
+
+  return job;
+}
+
+// ============ Execution ============
+
+async function logDueFailure(job, type, amount, senderProfile, receiverProfile, errorCode, reason = null) {
+  await logTransaction({
+    sender_id: senderProfile?.id || process.env.MONIBOT_PROFILE_ID,
+    receiver_id: receiverProfile?.id || senderProfile?.id || process.env.MONIBOT_PROFILE_ID,
+    amount,
+    fee: 0,
+    tx_hash: errorCode,
+    type,
+    tweet_id: job.source_tweet_id,
+    payer_pay_tag: senderProfile?.pay_tag || job.source_author_username,
+    recipient_pay_tag: receiverProfile?.pay_tag || null,
+    reason
+  });
+}
+
+/**
+ * Pay a due scheduled or recurring occurrence. Profiles are reloaded and
+ * spending limits, balance and allowance re-checked at execution time.
+ * Transient router failures throw so the job is retried under its
+ * lease/max_attempts; limit denials, shortfalls and duplicates are logged
+ * (with the given row `type`) and close the job. `requestedAt` is passed to
+ * checkSpendingLimits; `signal` is the job's lease (see executeJob).
+ *
+ * @returns {Promise<{executed: boolean, reason?: string, hash?: string, fee?: number}>}
+ */
+export async function executeDueP2P(job, { senderProfileId, receiverProfileId, amount, onchainTweetId, type, requestedAt, signal }) {
+  const [senderProfile, receiverProfile] = await Promise.all([
+    getProfileById(senderProfileId),
+    getProfileById(receiverProfileId)
+  ]);
+
+  if (!senderProfile?.wallet_address) {
+    await logDueFailure(job, type, amount, null, receiverProfile, 'ERROR_SENDER_NOT_FOUND');
+    return { executed: false, reason: 'ERROR_SENDER_NOT_FOUND' };
+  }
+
+  if (!receiverProfile?.wallet_address) {
+    await logDueFailure(job, type, amount, senderProfile, null, 'ERROR_TARGET_NOT_FOUND');
+    return { executed: false, reason: 'ERROR_TARGET_NOT_FOUND' };
+  }
+
+  // A previous attempt may have paid before the worker was stopped
+  if (await isTweetProcessed(onchainTweetId)) {
+    console.log(`   ⏭️ ${onchainTweetId} already used on-chain, nothing to do.`);
+    return { executed: false, reason: 'SKIP_ALREADY_ONCHAIN' };
+  }
+
+  const [limitDenial] = await checkSpendingLimits({
+    senderProfile,
+    payments: [{ receiverProfile, amount, requestedAt }]
+  });
+  if (limitDenial) {
+    console.log(`   🛑 ${limitDenial.code}: ${limitDenial.reason}`);
+    await logDueFailure(job, type, amount, senderProfile, receiverProfile, limitDenial.code, limitDenial.reason);
+    return { executed: false, reason: limitDenial.code };
+  }
+
+  const [balance, allowance] = await Promise.all([
+    getUSDTBalance(senderProfile.wallet_address),
+    getOnchainAllowance(senderProfile.wallet_address)
+  ]);
+
+  if (allowance < amount || balance < amount) {
+    const errorCode = allowance < amount ? 'ERROR_ALLOWANCE' : 'ERROR_BALANCE';
+    console.log(`   ❌ ${errorCode}: need $${amount}, balance $${balance}, allowance $${allowance}`);
+    await logDueFailure(job, type, amount, senderProfile, receiverProfile, errorCode);
+    return { executed: false, reason: errorCode };
+  }
+
+  let outcome;
+  try {
+    outcome = await executeP2PWithIntent({
+      tweetId: job.source_tweet_id,
+      senderProfile,
+      receiverProfile,
+      amount,
+      onchainTweetId,
+      type,
+      signal
+    });
+  } catch (txError) {
+    // Lost lease: nothing was sent, and the job's next owner logs the outcome
+    if (signal?.aborted) {
+      throw txError;
+    }
+
+    const errorCode = getP2PErrorCode(txError.message);
+    const isLastAttempt = (job.attempts || 1) >= (job.max_attempts || 3);
+
+    if (FINAL_P2P_ERRORS.has(errorCode) || isLastAttempt) {
+      await logDueFailure(job, type, amount, senderProfile, receiverProfile, errorCode);
+      return { executed: false, reason: errorCode };
+    }
+
+    throw txError;
+  }
+
+  if (!outcome) {
+    return { executed: false, reason: 'PENDING_RECOVERY' };
+  }
+
+  console.log(`   ✅ ${type} Success on BSC! TX: ${outcome.hash}`);
+  return { executed: true, hash: outcome.hash, fee: outcome.fee };
+}
+
+async function executeScheduledP2P(job, { signal } = {}) {
+  const { payload } = job;
+
+  console.log(`📅 Executing scheduled P2P: $${payload.amount} USDT (job ${job.id})`);
+
+  const result = await executeDueP2P(job, {
+    senderProfileId: payload.senderProfileId,
+    receiverProfileId: payload.receiverProfileId,
+    amount: payload.amount,
+    onchainTweetId: payload.onchainTweetId,
+    type: 'scheduled_p2p',
+    signal
+  });
+
+  return { type: 'scheduled_p2p', onchainTweetId: payload.onchainTweetId, ...result };
+}
+
+registerJobHandler('bsc', 'scheduled_p2p', { capability: 'p2p', handler: executeScheduledP2P });
@@ -1,18 +1,87 @@
 /**
  * MoniBot BSC Worker - Scheduler Module
  * 
- * Identical to Base worker scheduler - handles scheduled jobs.
- * Same logic, shared database tables.
+ * Handles scheduled jobs in the scheduled_jobs table shared with the Base
+ * worker. Every job is tagged with a target chain and the capability it
+ * needs; this worker only claims BSC jobs whose type has a registered handler
+ * and whose capability it has.
  */
 
 import * as chrono from 'chrono-node';
-import { getSupabase } from './database.js';
-import { evaluateTimeExpression } from './gemini.js';
+import { getSupabase, WORKER_ID } from './database.js';
+import { evaluateTimeExpression } from './ai.js';
 
 // ============ Time Parsing ============
 
+// Explicit scheduling cues. Anything from the first cue to the end of the
+// tweet is treated as the time phrase, so "pay @bob $10 for friday's dinner"
+// stays an immediate payment while "... on friday" is scheduled.
+const TIME_CUE_REGEX = /\b(?:tomorrow|tonight|in\s+\d+\s*(?:mins?|minutes?|hrs?|hours?|days?|weeks?)|at\s+\d{1,2}(?::\d{2})?\s*(?:am|pm)?|on\s+(?:(?:mon|tues|wednes|thurs|fri|satur|sun)day|\d{1,2}[/-]\d{1,2}|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+\d{1,2})|next\s+(?:week|month|(?:mon|tues|wednes|thurs|fri|satur|sun)day))\b.*$/i;
+
+/**
+ * Offset of the first scheduling cue in `text`, or -1.
+ */
+export function findTimeCueIndex(text) {
+  const match = text.match(TIME_CUE_REGEX);
+  return match ? match.index : -1;
+}
+
+/**
+ * Pull the time phrase out of a command ("tomorrow at 9am"), or null when the
+ * text carries no explicit scheduling cue.
+ */
+export function extractTimePhrase(text) {
+  const match = text.match(TIME_CUE_REGEX);
+  if (!match) return null;
+  
+  const phrase = match[0].replace(/@[a-zA-Z0-9_-]+/g, '').replace(/\s+/g, ' ').trim();
+  return phrase || null;
+}
+
+// Recurrence phrases ("every friday", "for 8 weeks"); recurringPayments.js
+// turns them into a subscription rule. "every ..." counts anywhere; a bare
+// "daily", "weekly" or "monthly" only before the memo, so "for monthly rent"
+// and "for the daily standup" stay one-off payments.
+const RECURRENCE_REGEX = /\bevery\s+(?:\d+\s+days?|day|week|month|(?:mon|tues|wednes|thurs|fri|satur|sun)day)\b/i;
+const BARE_RECURRENCE_REGEX = /\b(?:daily|weekly|monthly)\b/i;
+
+// Where a memo starts: "for", unless it is a duration ("for 8 weeks") or "for each"
+const MEMO_START_REGEX = /\bfor\s+(?!\d+\s+(?:days?|weeks?|months?)\b|each\b)/i;
+
+// End conditions only count as part of the schedule when a recurrence is present
+const RECURRENCE_END_REGEX = /\b(?:\d+\s+(?:times|payments|occurrences)|for\s+\d+\s+(?:days?|weeks?|months?)|until)\b/i;
+
+/**
+ * Match of the recurrence rule ("every friday", "weekly"), or null.
+ */
+export function findRecurrenceRule(text) {
+  const explicit = text.match(RECURRENCE_REGEX);
+  const bare = text.match(BARE_RECURRENCE_REGEX);
+  const memo = text.match(MEMO_START_REGEX);
+  
+  if (bare && (!memo || bare.index < memo.index) && (!explicit || bare.index < explicit.index)) {
+    return bare;
+  }
+  return explicit;
+}
+
+export function hasRecurrence(text) {
+  return findRecurrenceRule(text) !== null;
+}
+
+/**
+ * Offset where the recurrence phrase (rule or end condition) starts, or -1.
+ */
+export function findRecurrenceIndex(text) {
+  const rule = findRecurrenceRule(text);
+  if (!rule) return -1;
+  
+  const end = text.match(RECURRENCE_END_REGEX);
+  return end ? Math.min(rule.index, end.index) : rule.index;
+}
+
 export async function parseTimeExpression(text, referenceDate = new Date()) {
-  const chronoResults = chrono.parse(text, referenceDate);
+  const chronoResults = chrono.parse(text, referenceDate, { forwardDate: true });
   
   if (chronoResults.length > 0) {
     const result = chronoResults[0];
@@ -25,22 +94,70 @@ export async function parseTimeExpression(text, referenceDate = new Date()) {
   }
   
   try {
-    const geminiResult = await evaluateTimeExpression(text, referenceDate);
-    if (geminiResult.scheduledAt) {
+    const aiResult = await evaluateTimeExpression(text, referenceDate);
+    if (aiResult.scheduledAt) {
       return {
-        scheduledAt: new Date(geminiResult.scheduledAt),
-        confidence: geminiResult.confidence || 'medium',
-        parsed: geminiResult.interpreted,
-        source: 'gemini'
+        scheduledAt: new Date(aiResult.scheduledAt),
+        confidence: aiResult.confidence || 'medium',
+        parsed: aiResult.interpreted,
+        source: 'ai'
       };
     }
   } catch (error) {
-    console.error('⏰ Gemini time parsing failed:', error.message);
+    console.error('⏰ AI time parsing failed:', error.message);
   }
   
   return null;
 }
 
+// ============ Job Registry ============
+
+const WORKER_CHAIN = 'bsc';
+
+// A claimed job is leased to this worker; the heartbeat keeps extending the
+// lease while the handler runs, and the reaper returns expired leases to the
+// queue (e.g. after the 90-minute restart kills a job mid-run).
+const JOB_LEASE_SECONDS = parseInt(process.env.JOB_LEASE_SECONDS) || 300;
+const JOB_HEARTBEAT_MS = Math.floor(JOB_LEASE_SECONDS * 1000 / 3);
+
+// chain -> type -> { capability, handler }
+const jobRegistry = new Map();
+
+/**
+ * Register the handler for a job type on a chain. Only types registered for
+ * WORKER_CHAIN are ever claimed by this worker; registering another chain's
+ * types only records the capability they need when this worker creates them.
+ */
+export function registerJobHandler(chain, type, { capability, handler = null }) {
+  if (!jobRegistry.has(chain)) {
+    jobRegistry.set(chain, new Map());
+  }
+  jobRegistry.get(chain).set(type, { capability, handler });
+}
+
+/**
+ * Capabilities this worker claims jobs for: MONIBOT_WORKER_CAPABILITIES
+ * (comma-separated, e.g. 'p2p,grant' on a worker without X write access),
+ * or every capability it has a handler for.
+ */
+function getWorkerCapabilities() {
+  const handlers = [...(jobRegistry.get(WORKER_CHAIN) || new Map()).values()];
+  const registered = new Set(handlers.filter(entry => entry.handler).map(entry => entry.capability));
+  const configured = process.env.MONIBOT_WORKER_CAPABILITIES;
+  
+  if (!configured) {
+    return [...registered];
+  }
+  return configured.split(',').map(c => c.trim()).filter(c => registered.has(c));
+}
+
+function getRunnableJobTypes(capabilities) {
+  const handlers = jobRegistry.get(WORKER_CHAIN) || new Map();
+  return [...handlers.entries()]
+    .filter(([, entry]) => entry.handler && capabilities.includes(entry.capability))
+    .map(([type]) => type);
+}
+
 // ============ Job Creation ============
 
 export async function createScheduledJob({
@@ -49,7 +166,9 @@ export async function createScheduledJob({
   payload,
   sourceTweetId,
   sourceAuthorId,
-  sourceAuthorUsername
+  sourceAuthorUsername,
+  chain = payload?.chain || WORKER_CHAIN,
+  capability = jobRegistry.get(chain)?.get(type)?.capability || null
 }) {
   const supabase = getSupabase();
   
@@ -57,6 +176,8 @@ export async function createScheduledJob({
     .from('scheduled_jobs')
     .insert({
       type,
+      chain,
+      capability,
       scheduled_at: scheduledAt.toISOString(),
       payload,
       source_tweet_id: sourceTweetId,
@@ -71,7 +192,7 @@ export async function createScheduledJob({
     throw error;
   }
   
-  console.log(`✅ Scheduled ${type} job for ${scheduledAt.toISOString()}`);
+  console.log(`✅ Scheduled ${chain}/${type} job for ${scheduledAt.toISOString()}`);
   return data;
 }
 
@@ -79,13 +200,22 @@ export async function createScheduledJob({
 
 export async function getDueJobs() {
   const supabase = getSupabase();
+  const capabilities = getWorkerCapabilities();
+  const types = getRunnableJobTypes(capabilities);
+  
+  if (types.length === 0) {
+    return [];
+  }
   
+  // max_attempts is enforced by claim_scheduled_job, which closes exhausted jobs
   const { data, error } = await supabase
     .from('scheduled_jobs')
     .select('*')
     .eq('status', 'pending')
+    .eq('chain', WORKER_CHAIN)
+    .in('type', types)
+    .in('capability', capabilities)
     .lte('scheduled_at', new Date().toISOString())
-    .lt('attempts', 3)
     .order('scheduled_at', { ascending: true })
     .limit(10);
   
@@ -97,31 +227,125 @@ export async function getDueJobs() {
   return data || [];
 }
 
+/**
+ * Claim a job through the claim_scheduled_job Postgres function (see
+ * sql/scheduled_jobs.sql), which checks the job's capability and sets
+ * status, attempts and the lease in one atomic statement.
+ */
 export async function claimJob(jobId) {
   const supabase = getSupabase();
   
+  const { data, error } = await supabase.rpc('claim_scheduled_job', {
+    p_job_id: jobId,
+    p_worker_id: WORKER_ID,
+    p_lease_seconds: JOB_LEASE_SECONDS,
+    p_capabilities: getWorkerCapabilities()
+  });
+  
+  if (error) {
+    console.error(`❌ Failed to claim job ${jobId}:`, error.message);
+    return null;
+  }
+  
+  return data?.[0] || null;
+}
+
+export async function extendJobLease(jobId) {
+  const supabase = getSupabase();
+  const now = new Date();
+  
   const { data, error } = await supabase
     .from('scheduled_jobs')
     .update({
-      status: 'processing',
-      started_at: new Date().toISOString(),
-      attempts: supabase.rpc ? undefined : 1
+      heartbeat_at: now.toISOString(),
+      lease_expires_at: new Date(now.getTime() + JOB_LEASE_SECONDS * 1000).toISOString()
     })
     .eq('id', jobId)
-    .eq('status', 'pending')
-    .select()
-    .single();
+    .eq('status', 'processing')
+    .eq('lease_owner', WORKER_ID)
+    .select('id');
   
-  if (error || !data) {
-    return null;
+  if (error || !data?.length) {
+    console.warn(`⚠️ Lost lease on job ${jobId}`);
+    return false;
   }
   
-  await supabase
+  return true;
+}
+
+/**
+ * Extend the job's lease every JOB_HEARTBEAT_MS. Once it is lost, `lease` is
+ * aborted: another worker may reap and re-claim the job, so the handler must
+ * stop before it pays anyone.
+ */
+function startHeartbeat(jobId, lease) {
+  const timer = setInterval(async () => {
+    try {
+      if (!(await extendJobLease(jobId))) {
+        clearInterval(timer);
+        lease.abort(new Error(`ERROR_LEASE_LOST: job ${jobId} is no longer leased to ${WORKER_ID}`));
+      }
+    } catch (err) {
+      console.warn(`⚠️ Heartbeat failed for job ${jobId}:`, err.message);
+    }
+  }, JOB_HEARTBEAT_MS);
+  
+  return () => clearInterval(timer);
+}
+
+/**
+ * Return 'processing' jobs whose lease ran out to the queue, or close them
+ * as failed once max_attempts is used up. Rows claimed before leases existed
+ * (no lease_expires_at) are judged by started_at.
+ */
+export async function reapExpiredLeases() {
+  const supabase = getSupabase();
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const staleStart = new Date(now.getTime() - JOB_LEASE_SECONDS * 1000).toISOString();
+  
+  const { data: expired, error } = await supabase
     .from('scheduled_jobs')
-    .update({ attempts: (data.attempts || 0) + 1 })
-    .eq('id', jobId);
+    .select('id, attempts, max_attempts, lease_owner, lease_expires_at')
+    .eq('status', 'processing')
+    .eq('chain', WORKER_CHAIN)
+    .or(`lease_expires_at.lt.${nowIso},and(lease_expires_at.is.null,started_at.lt.${staleStart})`);
   
-  return data;
+  if (error) {
+    console.error('❌ Failed to fetch expired job leases:', error.message);
+    return;
+  }
+  
+  for (const job of expired || []) {
+    const attempts = job.attempts || 0;
+    const maxAttempts = job.max_attempts || 3;
+    const newStatus = attempts >= maxAttempts ? 'failed' : 'pending';
+    
+    let query = supabase
+      .from('scheduled_jobs')
+      .update({
+        status: newStatus,
+        error_message: `Lease expired (held by ${job.lease_owner || 'unknown'})`,
+        started_at: null,
+        lease_owner: null,
+        lease_expires_at: null
+      })
+      .eq('id', job.id)
+      .eq('status', 'processing');
+    
+    // Skip the job if a heartbeat renewed the lease since we read it
+    query = job.lease_expires_at
+      ? query.eq('lease_expires_at', job.lease_expires_at)
+      : query.is('lease_expires_at', null);
+    
+    const { error: updateError } = await query;
+    
+    if (updateError) {
+      console.error(`❌ Failed to reap job ${job.id}:`, updateError.message);
+    } else {
+      console.log(`🪦 Job ${job.id} lease expired → ${newStatus} (attempt ${attempts}/${maxAttempts})`);
+    }
+  }
 }
 
 export async function completeJob(jobId, result) {
@@ -132,9 +356,11 @@ export async function completeJob(jobId, result) {
     .update({
       status: 'completed',
       completed_at: new Date().toISOString(),
+      lease_expires_at: null,
       result
     })
-    .eq('id', jobId);
+    .eq('id', jobId)
+    .eq('lease_owner', WORKER_ID);
   
   console.log(`✅ Job ${jobId} completed`);
 }
@@ -158,9 +384,12 @@ export async function failJob(jobId, errorMessage) {
     .update({
       status: newStatus,
       error_message: errorMessage,
-      started_at: null
+      started_at: null,
+      lease_owner: null,
+      lease_expires_at: null
     })
-    .eq('id', jobId);
+    .eq('id', jobId)
+    .eq('lease_owner', WORKER_ID);
   
   if (newStatus === 'failed') {
     console.log(`❌ Job ${jobId} permanently failed after ${attempts} attempts`);
@@ -171,55 +400,30 @@ export async function failJob(jobId, errorMessage) {
 
 // ============ Job Execution ============
 
-async function executeRandomPick(job) {
-  const { payload, source_tweet_id } = job;
-  const { count, grant_amount } = payload;
-  
-  console.log(`🎲 Executing random pick: ${count} winners for tweet ${source_tweet_id}`);
-  
-  return {
-    type: 'random_pick',
-    count,
-    grant_amount,
-    source_tweet_id,
-    winners: []
-  };
-}
-
-async function executeCampaignPost(job) {
-  const { payload } = job;
-  const { message, budget, grant_amount, max_participants } = payload;
-  
-  console.log(`📢 Executing campaign post: "${message?.substring(0, 50)}..."`);
-  
-  return {
-    type: 'campaign_post',
-    message,
-    budget,
-    grant_amount,
-    max_participants,
-    ready_for_social: true
-  };
-}
+// Created here, executed by the Base worker
+registerJobHandler('base', 'cross_chain_p2p', { capability: 'p2p' });
 
-export async function executeJob(job) {
-  const { type } = job;
+/**
+ * Run a claimed job's handler as handler(job, { signal }). `signal` aborts
+ * when the lease is lost; handlers pass it to the journaled payment calls,
+ * which refuse to broadcast once it has.
+ */
+export async function executeJob(job, { signal } = {}) {
+  const { type, chain } = job;
+  const entry = jobRegistry.get(chain)?.get(type);
   
-  switch (type) {
-    case 'random_pick':
-      return executeRandomPick(job);
-    
-    case 'campaign_post':
-      return executeCampaignPost(job);
-    
-    default:
-      throw new Error(`Unknown job type: ${type}`);
+  if (chain !== WORKER_CHAIN || !entry?.handler) {
+    throw new Error(`No ${WORKER_CHAIN} handler for ${chain}/${type} job`);
   }
+  
+  return entry.handler(job, { signal });
 }
 
 // ============ Main Scheduler Loop ============
 
 export async function processScheduledJobs() {
+  await reapExpiredLeases();
+  
   const dueJobs = await getDueJobs();
   
   if (dueJobs.length === 0) {
@@ -235,12 +439,22 @@ export async function processScheduledJobs() {
       continue;
     }
     
+    const lease = new AbortController();
+    const stopHeartbeat = startHeartbeat(job.id, lease);
+    
     try {
-      const result = await executeJob(claimed);
+      const result = await executeJob(claimed, { signal: lease.signal });
       await completeJob(job.id, result);
     } catch (error) {
-      console.error(`❌ Job ${job.id} failed:`, error.message);
-      await failJob(job.id, error.message);
+      if (lease.signal.aborted) {
+        // The job is no longer ours to fail; the reaper or its new owner has it
+        console.warn(`⚠️ Job ${job.id} stopped after losing its lease:`, error.message);
+      } else {
+        console.error(`❌ Job ${job.id} failed:`, error.message);
+        await failJob(job.id, error.message);
+      }
+    } finally {
+      stopHeartbeat();
     }
   }
 }
@@ -0,0 +1,193 @@
+/**
+ * MoniBot BSC Worker - Spending Policy
+ *
+ * Limits checked before a P2P command reaches the router, so a compromised
+ * X account cannot drain a sender's whole USDT allowance in one burst.
+ * Scheduled, recurring and pending payments are checked when they are set up
+ * and again when they are paid:
+ *
+ *   per_tx_limit                     largest single payment
+ *   daily_limit / weekly_limit       total paid in the last 24h / 7 days
+ *   per_recipient_daily_limit        total paid to one recipient in 24h
+ *   commands_per_hour                P2P command tweets in the last hour
+ *   new_recipient_cooldown_minutes   wait after the first attempt to pay
+ *                                    someone the sender has never paid
+ *
+ * Users set them in monibot_user_settings from their MoniPay profile (never
+ * from a tweet); a null column falls back to the LIMIT_* env default, and an
+ * unset default means no cap. Spending is read from the sender's completed
+ * monibot_transactions rows. Every denial is an ERROR_LIMIT_* code.
+ */
+
+import {
+  getSupabase,
+  getSenderActivity,
+  getFirstPaymentAttempt
+} from './database.js';
+
+const SETTINGS_TABLE = 'monibot_user_settings';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+
+const envLimit = (name) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : null;
+};
+
+const DEFAULT_LIMITS = {
+  per_tx_limit: envLimit('LIMIT_PER_TX_USDT'),
+  daily_limit: envLimit('LIMIT_DAILY_USDT'),
+  weekly_limit: envLimit('LIMIT_WEEKLY_USDT'),
+  per_recipient_daily_limit: envLimit('LIMIT_PER_RECIPIENT_DAILY_USDT'),
+  commands_per_hour: envLimit('LIMIT_COMMANDS_PER_HOUR'),
+  new_recipient_cooldown_minutes: envLimit('LIMIT_NEW_RECIPIENT_COOLDOWN_MINUTES')
+};
+
+// Row types that are a command tweet from the sender (not a job's payout)
+const COMMAND_TYPES = new Set(['p2p_command', 'request_payment']);
+
+export const LIMIT_CODES = {
+  PER_TX: 'ERROR_LIMIT_PER_TX',
+  DAILY: 'ERROR_LIMIT_DAILY',
+  WEEKLY: 'ERROR_LIMIT_WEEKLY',
+  RECIPIENT: 'ERROR_LIMIT_RECIPIENT',
+  RATE: 'ERROR_LIMIT_RATE',
+  NEW_RECIPIENT: 'ERROR_LIMIT_NEW_RECIPIENT'
+};
+
+const usd = (amount) => `$${Number(amount.toFixed(2))}`;
+
+/**
+ * The sender's effective limits: their own settings over the env defaults.
+ */
+export async function getSpendingLimits(profileId) {
+  const supabase = getSupabase();
+
+  const { data, error } = await supabase
+    .from(SETTINGS_TABLE)
+    .select(Object.keys(DEFAULT_LIMITS).join(', '))
+    .eq('profile_id', profileId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load spending limits for ${profileId}: ${error.message}`);
+  }
+
+  const limits = { ...DEFAULT_LIMITS };
+  for (const key of Object.keys(limits)) {
+    if (data?.[key] !== null && data?.[key] !== undefined) {
+      limits[key] = Number(data[key]);
+    }
+  }
+  return limits;
+}
+
+// ============ Checks ============
+
+/**
+ * Refuse a command tweet when the sender already sent `commands_per_hour`
+ * others in the last hour. Re-runs of the same tweet (retries, confirmations)
+ * are not counted again.
+ *
+ * @returns {Promise<{code: string, reason: string}|null>}
+ */
+export async function checkCommandRate(senderProfile, tweetId) {
+  const { commands_per_hour: cap } = await getSpendingLimits(senderProfile.id);
+  if (!cap) return null;
+
+  const rows = await getSenderActivity(senderProfile.id, new Date(Date.now() - HOUR_MS));
+  const commands = new Set(rows
+    .filter(r => COMMAND_TYPES.has(r.type) && r.tweet_id && r.tweet_id !== tweetId)
+    .map(r => r.tweet_id));
+
+  if (commands.size < cap) return null;
+  return {
+    code: LIMIT_CODES.RATE,
+    reason: `${commands.size} commands in the last hour (limit ${cap})`
+  };
+}
+
+/**
+ * Check payments against the sender's spending limits, in order. Each
+ * payment is judged as if the allowed ones before it were already sent.
+ * `receiverProfile` may be null (a pending transfer), which skips the
+ * per-recipient checks. `requestedAt` is when the sender asked for a deferred
+ * payment: a new-recipient cooldown that never started counts from then.
+ *
+ * @param {{ senderProfile: object, payments: Array<{ receiverProfile: object|null, amount: number, requestedAt?: Date|string }> }} params
+ * @returns {Promise<Array<{code: string, reason: string}|null>>} one denial or null per payment
+ */
+export async function checkSpendingLimits({ senderProfile, payments }) {
+  const limits = await getSpendingLimits(senderProfile.id);
+  const now = Date.now();
+
+  const paid = (await getSenderActivity(senderProfile.id, new Date(now - WEEK_MS)))
+    .filter(r => r.tx_hash?.startsWith('0x'))
+    .map(r => ({
+      receiverId: r.receiver_id,
+      amount: Number(r.amount) + Number(r.fee || 0),
+      at: new Date(r.created_at).getTime()
+    }));
+
+  const sumSince = (since, receiverId = null) => paid
+    .filter(p => p.at >= since && (!receiverId || p.receiverId === receiverId))
+    .reduce((sum, p) => sum + p.amount, 0);
+
+  const cooldownMs = (limits.new_recipient_cooldown_minutes || 0) * 60 * 1000;
+  const cleared = new Map();
+
+  const judge = async ({ receiverProfile, amount, requestedAt }) => {
+    if (limits.per_tx_limit && amount > limits.per_tx_limit) {
+      return { code: LIMIT_CODES.PER_TX, reason: `${usd(amount)} is over the ${usd(limits.per_tx_limit)} per-payment limit` };
+    }
+
+    const daily = sumSince(now - DAY_MS);
+    if (limits.daily_limit && daily + amount > limits.daily_limit) {
+      return { code: LIMIT_CODES.DAILY, reason: `${usd(daily)} of ${usd(limits.daily_limit)} daily limit already sent` };
+    }
+
+    const weekly = sumSince(now - WEEK_MS);
+    if (limits.weekly_limit && weekly + amount > limits.weekly_limit) {
+      return { code: LIMIT_CODES.WEEKLY, reason: `${usd(weekly)} of ${usd(limits.weekly_limit)} weekly limit already sent` };
+    }
+
+    if (!receiverProfile) return null;
+
+    const toRecipient = sumSince(now - DAY_MS, receiverProfile.id);
+    if (limits.per_recipient_daily_limit && toRecipient + amount > limits.per_recipient_daily_limit) {
+      return {
+        code: LIMIT_CODES.RECIPIENT,
+        reason: `${usd(toRecipient)} of ${usd(limits.per_recipient_daily_limit)} daily limit for @${receiverProfile.pay_tag} already sent`
+      };
+    }
+
+    if (cooldownMs > 0) {
+      if (!cleared.has(receiverProfile.id)) {
+        const first = await getFirstPaymentAttempt(senderProfile.id, receiverProfile.id);
+        const clearsAt = first && (first.tx_hash.startsWith('0x') ? 0 : new Date(first.created_at).getTime() + cooldownMs);
+        cleared.set(receiverProfile.id, first ? clearsAt : requestedAt ? new Date(requestedAt).getTime() + cooldownMs : null);
+      }
+
+      // The first attempt is refused and starts the cooldown
+      const clearsAt = cleared.get(receiverProfile.id);
+      if (clearsAt === null || clearsAt > now) {
+        const wait = Math.ceil(((clearsAt ?? now + cooldownMs) - now) / 60000);
+        return { code: LIMIT_CODES.NEW_RECIPIENT, reason: `First payment to @${receiverProfile.pay_tag}, allowed in ${wait} min` };
+      }
+    }
+
+    return null;
+  };
+
+  const denials = [];
+  for (const payment of payments) {
+    const denial = await judge(payment);
+    denials.push(denial);
+    if (!denial) {
+      paid.push({ receiverId: payment.receiverProfile?.id, amount: payment.amount, at: now });
+    }
+  }
+  return denials;
+}
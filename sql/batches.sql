@@ -0,0 +1,21 @@
+-- MoniBot BSC Worker - multi-recipient batches
+--
+-- One row per multi-recipient command tweet (multiRecipient.js), saved after
+-- every recipient so a restart resumes the batch instead of re-paying it.
+
+CREATE TABLE IF NOT EXISTS monibot_batches (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  chain text NOT NULL,
+  tweet_id text NOT NULL,
+  sender_id uuid NOT NULL REFERENCES profiles(id),
+  mode text NOT NULL,
+  all_or_nothing boolean NOT NULL DEFAULT false,
+  status text NOT NULL DEFAULT 'running',
+  recipients jsonb NOT NULL DEFAULT '[]'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (chain, tweet_id)
+);
+
+CREATE INDEX IF NOT EXISTS monibot_batches_running_idx
+  ON monibot_batches (chain, status, updated_at);
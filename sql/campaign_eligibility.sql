@@ -0,0 +1,10 @@
+-- MoniBot BSC Worker - campaign eligibility rules
+--
+-- A JSON list of anti-sybil rules per campaign (campaignRules.js). Null or
+-- an empty list means every reply is eligible.
+
+ALTER TABLE campaigns
+  ADD COLUMN IF NOT EXISTS eligibility_rules jsonb;
+
+CREATE INDEX IF NOT EXISTS campaign_grants_profile_idx
+  ON campaign_grants (profile_id);
@@ -0,0 +1,35 @@
+-- MoniBot BSC Worker - large-payment confirmations
+--
+-- Commands above a sender's confirmation threshold are parked here with a
+-- copy of their tweet until "confirm <code>" re-runs them
+-- (paymentConfirmations.js). monibot_user_settings holds the per-profile
+-- threshold.
+
+CREATE TABLE IF NOT EXISTS monibot_payment_confirmations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  code text NOT NULL,
+  chain text NOT NULL,
+  status text NOT NULL DEFAULT 'awaiting',
+  sender_id uuid NOT NULL REFERENCES profiles(id),
+  x_user_id text NOT NULL,
+  amount numeric NOT NULL,
+  tweet_id text NOT NULL,
+  tweet jsonb NOT NULL,
+  expires_at timestamptz NOT NULL,
+  confirm_tweet_id text,
+  confirmed_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS monibot_payment_confirmations_code_idx
+  ON monibot_payment_confirmations (chain, code, x_user_id);
+
+CREATE INDEX IF NOT EXISTS monibot_payment_confirmations_due_idx
+  ON monibot_payment_confirmations (chain, status, expires_at);
+
+CREATE TABLE IF NOT EXISTS monibot_user_settings (
+  profile_id uuid PRIMARY KEY REFERENCES profiles(id),
+  confirm_threshold numeric,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
@@ -0,0 +1,32 @@
+-- MoniBot BSC Worker - payment requests
+--
+-- "@monibot request $n from @x" (paymentRequests.js). `payments` lists each
+-- partial payment made against the request.
+
+CREATE TABLE IF NOT EXISTS monibot_payment_requests (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  code text NOT NULL,
+  chain text NOT NULL,
+  status text NOT NULL DEFAULT 'open',
+  requester_id uuid NOT NULL REFERENCES profiles(id),
+  payer_id uuid NOT NULL REFERENCES profiles(id),
+  amount numeric NOT NULL,
+  amount_paid numeric NOT NULL DEFAULT 0,
+  memo text,
+  payments jsonb NOT NULL DEFAULT '[]'::jsonb,
+  expires_at timestamptz NOT NULL,
+  tweet_id text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  paid_at timestamptz,
+  declined_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS monibot_payment_requests_code_idx
+  ON monibot_payment_requests (chain, code);
+
+CREATE INDEX IF NOT EXISTS monibot_payment_requests_tweet_idx
+  ON monibot_payment_requests (chain, tweet_id);
+
+CREATE INDEX IF NOT EXISTS monibot_payment_requests_open_idx
+  ON monibot_payment_requests (chain, status, created_at);
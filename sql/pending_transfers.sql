@@ -0,0 +1,35 @@
+-- MoniBot BSC Worker - pending transfers
+--
+-- Payments to X handles that are not on MoniPay yet (pendingTransfers.js).
+-- Held until the handle onboards and the transfer is claimed, or it expires.
+-- Claimed by recipient_x_user_id (the mention's immutable X user id); the
+-- handle is only matched for rows recorded without one.
+
+CREATE TABLE IF NOT EXISTS monibot_pending_transfers (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  code text NOT NULL,
+  chain text NOT NULL,
+  status text NOT NULL DEFAULT 'pending',
+  sender_id uuid NOT NULL REFERENCES profiles(id),
+  recipient_handle text NOT NULL,
+  recipient_x_user_id text,
+  receiver_id uuid REFERENCES profiles(id),
+  amount numeric NOT NULL,
+  tweet_id text NOT NULL,
+  tx_hash text,
+  failed_reason text,
+  expires_at timestamptz NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  claimed_at timestamptz,
+  cancelled_at timestamptz
+);
+
+ALTER TABLE monibot_pending_transfers
+  ADD COLUMN IF NOT EXISTS recipient_x_user_id text;
+
+CREATE INDEX IF NOT EXISTS monibot_pending_transfers_open_idx
+  ON monibot_pending_transfers (chain, status, created_at);
+
+CREATE INDEX IF NOT EXISTS monibot_pending_transfers_sender_idx
+  ON monibot_pending_transfers (sender_id, status);
@@ -0,0 +1,11 @@
+-- MoniBot BSC Worker - X user ids on profiles
+--
+-- Senders are resolved by the tweet's numeric author_id against
+-- profiles.x_user_id. Profiles found by username have it backfilled on
+-- first use (database.js), so it is not unique until that has run.
+
+ALTER TABLE profiles
+  ADD COLUMN IF NOT EXISTS x_user_id text;
+
+CREATE INDEX IF NOT EXISTS profiles_x_user_id_idx
+  ON profiles (x_user_id);
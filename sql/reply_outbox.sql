@@ -0,0 +1,8 @@
+-- MoniBot BSC Worker - reply outbox
+--
+-- The outbox drains monibot_transactions rows with replied = false
+-- (outbox.js). This partial index keeps that scan to the unreplied rows.
+
+CREATE INDEX IF NOT EXISTS monibot_transactions_unreplied_idx
+  ON monibot_transactions (chain, created_at)
+  WHERE replied = false;
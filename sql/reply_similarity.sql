@@ -0,0 +1,33 @@
+-- MoniBot BSC Worker - near-duplicate campaign replies
+--
+-- MinHash signatures of campaign replies and the clusters of near-identical
+-- ones (replySimilarity.js). Cluster members are the signatures with its
+-- cluster_id.
+
+CREATE TABLE IF NOT EXISTS monibot_reply_clusters (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  campaign_id uuid NOT NULL REFERENCES campaigns(id),
+  first_tweet_id text NOT NULL,
+  status text NOT NULL DEFAULT 'flagged',
+  size integer NOT NULL DEFAULT 0,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS monibot_reply_signatures (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  campaign_id uuid NOT NULL REFERENCES campaigns(id),
+  tweet_id text NOT NULL UNIQUE,
+  author_id text,
+  author_username text,
+  normalized_text text,
+  signature jsonb NOT NULL,
+  cluster_id uuid REFERENCES monibot_reply_clusters(id),
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS monibot_reply_signatures_campaign_idx
+  ON monibot_reply_signatures (campaign_id);
+
+CREATE INDEX IF NOT EXISTS monibot_reply_signatures_cluster_idx
+  ON monibot_reply_signatures (cluster_id);
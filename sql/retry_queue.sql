@@ -0,0 +1,16 @@
+-- MoniBot BSC Worker - retry queue on monibot_transactions
+--
+-- Retryable failures are logged as 'retry_scheduled' with the time of their
+-- next attempt; claimRetry stamps retry_claimed_at while an attempt runs.
+
+ALTER TABLE monibot_transactions
+  ADD COLUMN IF NOT EXISTS retry_count integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS next_retry_at timestamptz,
+  ADD COLUMN IF NOT EXISTS retry_claimed_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS monibot_transactions_retry_idx
+  ON monibot_transactions (chain, status, next_retry_at)
+  WHERE status IN ('retry_scheduled', 'retrying');
+
+CREATE INDEX IF NOT EXISTS monibot_transactions_tweet_idx
+  ON monibot_transactions (tweet_id, chain);
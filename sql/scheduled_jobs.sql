@@ -0,0 +1,73 @@
+-- MoniBot BSC Worker - scheduled_jobs extensions
+--
+-- scheduled_jobs is shared with the Base worker. These columns and functions
+-- are what scheduler.js relies on for chain routing and lease-based claiming.
+
+ALTER TABLE scheduled_jobs
+  ADD COLUMN IF NOT EXISTS chain text,
+  ADD COLUMN IF NOT EXISTS capability text,
+  ADD COLUMN IF NOT EXISTS lease_owner text,
+  ADD COLUMN IF NOT EXISTS lease_expires_at timestamptz,
+  ADD COLUMN IF NOT EXISTS heartbeat_at timestamptz;
+
+-- Rows created before chain routing have no chain, and getDueJobs only reads
+-- this worker's chain. Jobs that named a chain in their payload (the
+-- cross_chain_p2p hand-offs to Base) keep it; the rest were BSC jobs.
+UPDATE scheduled_jobs
+   SET chain = COALESCE(lower(payload->>'chain'), 'bsc')
+ WHERE chain IS NULL;
+
+-- Jobs are only claimed by a worker with their capability. Tag the job types
+-- this worker creates that predate the column with the capability their
+-- handler registers.
+UPDATE scheduled_jobs
+   SET capability = CASE type
+                      WHEN 'campaign_post' THEN 'social'
+                      WHEN 'random_pick' THEN 'grant'
+                      ELSE 'p2p'
+                    END
+ WHERE capability IS NULL
+   AND type IN ('campaign_post', 'random_pick', 'scheduled_p2p', 'recurring_p2p', 'pending_transfer', 'cross_chain_p2p');
+
+CREATE INDEX IF NOT EXISTS scheduled_jobs_due_idx
+  ON scheduled_jobs (chain, status, scheduled_at);
+
+-- Atomically claim one pending job: flips it to 'processing', bumps attempts
+-- and takes a lease in a single statement. Returns no row if the job was
+-- already claimed, is not due, needs a capability outside p_capabilities, or
+-- has used up max_attempts (in which case it is closed as 'failed' instead).
+DROP FUNCTION IF EXISTS claim_scheduled_job(uuid, text, integer);
+
+CREATE OR REPLACE FUNCTION claim_scheduled_job(
+  p_job_id uuid,
+  p_worker_id text,
+  p_lease_seconds integer,
+  p_capabilities text[]
+)
+RETURNS SETOF scheduled_jobs
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE scheduled_jobs
+     SET status = 'failed',
+         error_message = COALESCE(error_message, 'max_attempts exhausted')
+   WHERE id = p_job_id
+     AND status = 'pending'
+     AND COALESCE(attempts, 0) >= COALESCE(max_attempts, 3);
+
+  RETURN QUERY
+  UPDATE scheduled_jobs
+     SET status = 'processing',
+         attempts = COALESCE(attempts, 0) + 1,
+         started_at = now(),
+         lease_owner = p_worker_id,
+         lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+         heartbeat_at = now()
+   WHERE id = p_job_id
+     AND status = 'pending'
+     AND scheduled_at <= now()
+     AND capability = ANY(p_capabilities)
+     AND COALESCE(attempts, 0) < COALESCE(max_attempts, 3)
+  RETURNING *;
+END;
+$$;
@@ -0,0 +1,15 @@
+-- MoniBot BSC Worker - spending limits
+--
+-- Per-profile overrides of the LIMIT_* defaults (spendingPolicy.js); null
+-- keeps the default. Activity is read from monibot_transactions by sender.
+
+ALTER TABLE monibot_user_settings
+  ADD COLUMN IF NOT EXISTS per_tx_limit numeric,
+  ADD COLUMN IF NOT EXISTS daily_limit numeric,
+  ADD COLUMN IF NOT EXISTS weekly_limit numeric,
+  ADD COLUMN IF NOT EXISTS per_recipient_daily_limit numeric,
+  ADD COLUMN IF NOT EXISTS commands_per_hour integer,
+  ADD COLUMN IF NOT EXISTS new_recipient_cooldown_minutes integer;
+
+CREATE INDEX IF NOT EXISTS monibot_transactions_sender_idx
+  ON monibot_transactions (sender_id, chain, created_at);
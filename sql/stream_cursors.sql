@@ -0,0 +1,17 @@
+-- MoniBot BSC Worker - search stream cursors
+--
+-- One since_id per (worker_id, chain, stream), read and advanced by
+-- getStreamCursor / advanceStreamCursor in database.js. `state` holds
+-- stream-specific pagination state (the campaign reply backlog).
+
+CREATE TABLE IF NOT EXISTS monibot_stream_cursors (
+  worker_id text NOT NULL,
+  chain text NOT NULL,
+  stream text NOT NULL,
+  cursor text,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (worker_id, chain, stream)
+);
+
+ALTER TABLE monibot_stream_cursors
+  ADD COLUMN IF NOT EXISTS state jsonb;
@@ -0,0 +1,32 @@
+-- MoniBot BSC Worker - recurring P2P subscriptions
+--
+-- One row per "pay @x $n every ..." command (recurringPayments.js). Each
+-- occurrence is a recurring_p2p scheduled job; the row tracks how many were
+-- created and paid, and the funding failures that suspend it.
+
+CREATE TABLE IF NOT EXISTS monibot_subscriptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  code text NOT NULL,
+  chain text NOT NULL,
+  status text NOT NULL DEFAULT 'active',
+  sender_id uuid NOT NULL REFERENCES profiles(id),
+  receiver_id uuid NOT NULL REFERENCES profiles(id),
+  amount numeric NOT NULL,
+  rule jsonb NOT NULL,
+  ends_at timestamptz,
+  max_occurrences integer,
+  occurrences_created integer NOT NULL DEFAULT 0,
+  occurrences_paid integer NOT NULL DEFAULT 0,
+  consecutive_failures integer NOT NULL DEFAULT 0,
+  next_run_at timestamptz,
+  suspended_reason text,
+  source_tweet_id text,
+  source_author_id text,
+  source_author_username text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  cancelled_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS monibot_subscriptions_sender_idx
+  ON monibot_subscriptions (sender_id, chain, status);
@@ -0,0 +1,27 @@
+-- MoniBot BSC Worker - router payment intents
+--
+-- Write-ahead journal for router payments (intentJournal.js). An intent is
+-- opened before signing, gets the tx hash before broadcast, and is closed
+-- as confirmed or failed. Unfinished intents are recovered on startup.
+
+CREATE TABLE IF NOT EXISTS monibot_tx_intents (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind text NOT NULL,
+  chain text NOT NULL,
+  status text NOT NULL DEFAULT 'pending',
+  tweet_id text,
+  payload jsonb NOT NULL,
+  completed_steps jsonb NOT NULL DEFAULT '[]'::jsonb,
+  tx_hash text,
+  fee numeric,
+  error_message text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  broadcast_at timestamptz,
+  closed_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS monibot_tx_intents_open_idx
+  ON monibot_tx_intents (chain, status, created_at);
+
+CREATE INDEX IF NOT EXISTS monibot_tx_intents_tweet_idx
+  ON monibot_tx_intents (tweet_id);
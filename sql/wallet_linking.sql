@@ -0,0 +1,40 @@
+-- MoniBot BSC Worker - wallet linking
+--
+-- Signed-challenge linking of X accounts to wallets (walletLinking.js).
+-- The audit table records every link and unlink and drives the cooldowns.
+
+CREATE TABLE IF NOT EXISTS monibot_link_challenges (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  chain text NOT NULL,
+  x_user_id text NOT NULL,
+  x_username text,
+  nonce text NOT NULL,
+  status text NOT NULL DEFAULT 'pending',
+  tweet_id text,
+  expires_at timestamptz NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  used_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS monibot_link_challenges_user_idx
+  ON monibot_link_challenges (chain, x_user_id, status);
+
+CREATE TABLE IF NOT EXISTS monibot_link_audit (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  chain text NOT NULL,
+  action text NOT NULL,
+  profile_id uuid NOT NULL REFERENCES profiles(id),
+  x_user_id text NOT NULL,
+  x_username text,
+  wallet_address text,
+  challenge_id uuid REFERENCES monibot_link_challenges(id),
+  signature text,
+  tweet_id text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS monibot_link_audit_profile_idx
+  ON monibot_link_audit (profile_id, created_at);
+
+CREATE INDEX IF NOT EXISTS monibot_link_audit_x_user_idx
+  ON monibot_link_audit (x_user_id, created_at);
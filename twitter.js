@@ -10,24 +10,32 @@
 import { TwitterApi } from 'twitter-api-v2';
 import { 
   getProfileByXUsername, 
+  getProfileByXAuthor,
   getProfileByMonitag, 
+  isAmbiguousProfileError,
   checkIfAlreadyGranted,
   checkIfCommandProcessed,
   markAsGranted,
   logTransaction,
   getCampaignByTweetId,
-  incrementCampaignParticipants,
   getActiveCampaigns,
-  syncToMainLedger
+  getStreamCursor,
+  advanceStreamCursor,
+  getProfileById,
+  getDueRetries,
+  claimRetry,
+  markRetrySuperseded,
+  rescheduleRetry,
+  failRetry
 } from './database.js';
 import { 
-  executeP2PViaRouter, 
-  executeGrantViaRouter, 
   getOnchainAllowance,
   getUSDTBalance,
   isTweetProcessed,
   isGrantAlreadyIssued,
   calculateFee,
+  getP2PErrorCode,
+  getGrantErrorCode,
   MONIBOT_ROUTER_ADDRESS
 } from './blockchain.js';
 import {
@@ -37,12 +45,62 @@ import {
   buildMultiRecipientReply
 } from './multiRecipient.js';
 import { checkBaseFunds } from './crossChainCheck.js';
-import { createScheduledJob } from './scheduler.js';
+import { createScheduledJob, hasRecurrence } from './scheduler.js';
+import { parseCommand } from './commandParser.js';
+import { scheduleP2PPayment } from './scheduledPayments.js';
+import {
+  createSubscription,
+  parseSubscriptionCommand,
+  handleSubscriptionCommand
+} from './recurringPayments.js';
+import { parseRequestCommand, handleRequestCommand } from './paymentRequests.js';
+import {
+  createPendingTransfer,
+  parsePendingCancelCommand,
+  handlePendingCancelCommand
+} from './pendingTransfers.js';
+import { parseLinkCommand, handleLinkCommand } from './walletLinking.js';
+import {
+  requiresConfirmation,
+  parkForConfirmation,
+  parseConfirmCommand,
+  handleConfirmCommand,
+  markConfirmationExecuted,
+  redriveConfirmations
+} from './paymentConfirmations.js';
+import { checkCommandRate, checkSpendingLimits } from './spendingPolicy.js';
+import { evaluateCampaignReply } from './ai.js';
+import { getCampaignRules, evaluateCampaignRules } from './campaignRules.js';
+import { indexCampaignReply } from './replySimilarity.js';
+import {
+  executeP2PWithIntent,
+  executeGrantWithIntent,
+  hasOpenIntent
+} from './intentJournal.js';
+import { MAX_RETRY_ATTEMPTS } from './retryPolicy.js';
 
 let twitterClient;
-let lastProcessedTweetId = null;
 
-const MONIBOT_WALLET_ADDRESS = process.env.MONIBOT_WALLET_ADDRESS || '0x...';
+const P2P_STREAM = 'p2p_search';
+
+const BSC_KEYWORD_REGEX = /(?:usdt|bnb|bsc|binance)/i;
+
+// Search pages all campaigns may spend per poll cycle, so one viral
+// campaign cannot eat the quota pollCommands needs.
+const CAMPAIGN_PAGE_BUDGET = parseInt(process.env.CAMPAIGN_PAGE_BUDGET) || 10;
+
+// Matches the "joined < 7 days ago" wording in the AI evaluation prompt
+const NEW_USER_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Author fields the campaign eligibility rules read
+const REPLY_AUTHOR_FIELDS = ['username', 'created_at', 'public_metrics'];
+
+// must_follow lookups: accounts each author follows, kept for a while
+// since the follows endpoint allows only 15 requests per 15 minutes
+const FOLLOWING_CACHE_MS = 15 * 60 * 1000;
+const FOLLOWING_CACHE_MAX_ENTRIES = 1000;
+const FOLLOWING_MAX_PAGES = 5;
+const followingCache = new Map();
 
 // ============ Initialization ============
 
@@ -57,6 +115,24 @@ export function initTwitterClient() {
   console.log('✅ Twitter client initialized (Silent Worker Mode - BSC Router)');
 }
 
+/**
+ * Post a tweet from the bot account and return its id. Only the campaign
+ * publisher uses this; it needs write-enabled access tokens.
+ */
+export async function postTweet(text) {
+  const { data } = await twitterClient.v2.tweet(text);
+  return data.id;
+}
+
+/**
+ * Reply to a tweet from the bot account and return the reply's id. Used by
+ * the reply outbox's 'twitter' publisher.
+ */
+export async function replyToTweet(tweetId, text) {
+  const { data } = await twitterClient.v2.reply(text, tweetId);
+  return data.id;
+}
+
 // ============ BSC Keyword Detection (P2P only) ============
 
 const BSC_KEYWORDS = ['usdt', 'bnb', 'bsc', 'binance smart chain', 'binance'];
@@ -68,7 +144,7 @@ function isBscRelated(text) {
 
 // ============ Utility Functions ============
 
-function extractFirstPayTag(text) {
+export function extractFirstPayTag(text) {
   const matches = text.match(/@([a-zA-Z0-9_-]+)/g) || [];
   const filtered = matches
     .map(m => m.slice(1).toLowerCase())
@@ -84,6 +160,110 @@ function extractPayTags(text) {
     .filter(m => m !== 'monibot' && m !== 'monipay'); 
 }
 
+/**
+ * Whether `authorId` follows @username. Reads at most FOLLOWING_MAX_PAGES
+ * pages of the author's follows; accounts beyond that count as not followed.
+ * Follows are cached per author for FOLLOWING_CACHE_MS, up to
+ * FOLLOWING_CACHE_MAX_ENTRIES authors.
+ */
+async function authorFollows(authorId, username) {
+  let cached = followingCache.get(authorId);
+  if (!cached || Date.now() - cached.fetchedAt > FOLLOWING_CACHE_MS) {
+    const paginator = await twitterClient.v2.following(authorId, { asPaginator: true, max_results: 1000 });
+    let pages = 1;
+    
+    while (!paginator.done && pages < FOLLOWING_MAX_PAGES) {
+      await paginator.fetchNext();
+      pages++;
+    }
+    
+    cached = {
+      usernames: new Set(paginator.users.map(u => u.username.toLowerCase())),
+      fetchedAt: Date.now()
+    };
+    followingCache.delete(authorId);
+    followingCache.set(authorId, cached);
+    
+    // Oldest first: drop expired entries, then any over the cap
+    for (const [id, entry] of followingCache) {
+      if (followingCache.size <= FOLLOWING_CACHE_MAX_ENTRIES && Date.now() - entry.fetchedAt <= FOLLOWING_CACHE_MS) break;
+      followingCache.delete(id);
+    }
+  }
+  
+  return cached.usernames.has(username.toLowerCase());
+}
+
+function isNewProfile(profile) {
+  if (!profile?.created_at) return false;
+  return Date.now() - new Date(profile.created_at).getTime() < NEW_USER_WINDOW_MS;
+}
+
+/**
+ * Clamp an AI-approved tier amount to the campaign's per-grant ceiling
+ * (grant_amount) and whatever is left of its allocated budget.
+ */
+function resolveAiGrantAmount(tierAmount, campaign) {
+  let amount = tierAmount;
+  
+  if (campaign.grant_amount) {
+    amount = Math.min(amount, campaign.grant_amount);
+  }
+  
+  if (campaign.budget_allocated) {
+    const remaining = campaign.budget_allocated - (campaign.budget_spent || 0);
+    amount = Math.min(amount, remaining);
+  }
+  
+  return Math.max(Math.round(amount * 100) / 100, 0);
+}
+
+/**
+ * Run a recent-search query and follow next_token until Twitter has no more
+ * pages or `maxPages` is reached. Tweets are returned oldest-first so they
+ * are handled in the order they were posted; `complete` is false when older
+ * results were left unfetched.
+ */
+async function searchAllPages(params, maxPages = Infinity) {
+  const paginator = await twitterClient.v2.search(params);
+  let pages = 1;
+  
+  while (!paginator.done && pages < maxPages) {
+    await paginator.fetchNext();
+    pages++;
+  }
+  
+  return {
+    tweets: [...paginator.tweets].reverse(),
+    users: paginator.includes.users,
+    newestId: paginator.meta?.newest_id || null,
+    oldestId: paginator.meta?.oldest_id || null,
+    pages,
+    complete: paginator.done
+  };
+}
+
+/**
+ * Every reply in a tweet's conversation posted before `endTime`, oldest-first.
+ * Recent search only reaches back 7 days.
+ */
+export async function fetchConversationReplies(tweetId, { endTime } = {}) {
+  const searchParams = {
+    query: `conversation_id:${tweetId} -from:monibot`,
+    max_results: 100,
+    'tweet.fields': ['author_id', 'created_at'],
+    'user.fields': ['username'],
+    expansions: ['author_id']
+  };
+  
+  if (endTime) {
+    searchParams.end_time = endTime.toISOString();
+  }
+  
+  const { tweets, users } = await searchAllPages(searchParams);
+  return { tweets, users: users || [] };
+}
+
 // ============ Loop 1: Campaign Replies (DB-Driven, Network-Filtered) ============
 
 /**
@@ -105,7 +285,15 @@ export async function pollCampaigns() {
     
     console.log(`   Found ${activeCampaigns.length} active BSC campaign(s)`);
     
+    let pageBudget = CAMPAIGN_PAGE_BUDGET;
+    const pagesPerCampaign = Math.max(1, Math.ceil(CAMPAIGN_PAGE_BUDGET / activeCampaigns.length));
+    
     for (const campaign of activeCampaigns) {
+      if (pageBudget <= 0) {
+        console.log(`   ⏸️ Campaign page budget (${CAMPAIGN_PAGE_BUDGET}) spent, resuming next cycle`);
+        break;
+      }
+      
       if (campaign.current_participants >= (campaign.max_participants || 999999)) {
         console.log(`   ⏭️ Campaign ${campaign.id.substring(0, 8)} already at max participants`);
         continue;
@@ -116,7 +304,7 @@ export async function pollCampaigns() {
         continue;
       }
       
-      await processCampaignReplies(campaign);
+      pageBudget -= await processCampaignReplies(campaign, Math.min(pagesPerCampaign, pageBudget));
     }
   } catch (error) {
     console.error('❌ Error polling campaigns:', error.message);
@@ -124,40 +312,85 @@ export async function pollCampaigns() {
   }
 }
 
-async function processCampaignReplies(campaign) {
+/**
+ * Harvest a campaign's replies oldest-first within a page allowance.
+ *
+ * Search results come newest-first, so when a backlog is larger than the
+ * allowance the worker first walks down through it, pushing each window's
+ * oldest id onto `state.backlog` without paying anyone. Once the oldest
+ * window fits, it is processed and the stack is popped, so every later
+ * window is bounded by an until_id and replies are granted in posting order.
+ * The cursor (high-water mark) only moves past replies that were handled.
+ *
+ * Returns the number of search pages spent.
+ */
+async function processCampaignReplies(campaign, maxPages) {
+  const stream = `campaign:${campaign.tweet_id}`;
+  
   try {
     console.log(`\n🔍 [BSC] Checking campaign: ${campaign.tweet_id}`);
     console.log(`   Grant: $${campaign.grant_amount} USDT | ${campaign.current_participants || 0}/${campaign.max_participants || '∞'} participants`);
     
-    const replies = await twitterClient.v2.search({
+    const searchParams = {
       query: `conversation_id:${campaign.tweet_id} -from:monibot`,
       max_results: 100,
       'tweet.fields': ['author_id', 'created_at'],
-      'user.fields': ['username'],
+      'user.fields': REPLY_AUTHOR_FIELDS,
       expansions: ['author_id']
-    });
+    };
     
-    if (!replies.data?.data) {
-      console.log('   No replies found.');
-      return;
+    const { cursor: sinceId, state } = await getStreamCursor(stream);
+    const backlog = [...(state.backlog || [])];
+    const untilId = backlog.length > 0 ? backlog[backlog.length - 1] : null;
+    
+    if (sinceId) {
+      searchParams.since_id = sinceId;
+    }
+    if (untilId) {
+      searchParams.until_id = untilId;
     }
     
-    console.log(`   Found ${replies.data.data.length} replies to process`);
+    const { tweets, users, newestId, oldestId, pages, complete } = await searchAllPages(searchParams, maxPages);
     
-    for (const reply of replies.data.data) {
-      const author = replies.includes?.users?.find(u => u.id === reply.author_id);
+    if (!complete) {
+      backlog.push(oldestId);
+      console.log(`   📚 Backlog deeper than ${pages} page(s), walking back before ${oldestId} (depth ${backlog.length})`);
+      await advanceStreamCursor(stream, sinceId, { backlog });
+      return pages;
+    }
+    
+    if (untilId) {
+      backlog.pop();
+    }
+    
+    if (tweets.length === 0) {
+      console.log('   No new replies found.');
+      if (untilId) {
+        await advanceStreamCursor(stream, sinceId, { backlog });
+      }
+      return pages;
+    }
+    
+    console.log(`   Found ${tweets.length} replies to process (${pages} page(s)${untilId ? `, ${backlog.length} window(s) queued` : ''})`);
+    
+    for (const reply of tweets) {
+      const author = users.find(u => u.id === reply.author_id);
       if (!author) continue;
       
       await processReply(reply, author, campaign);
     }
+    
+    await advanceStreamCursor(stream, newestId, { backlog });
+    return pages;
   } catch (error) {
     console.error(`❌ Error processing campaign ${campaign.tweet_id}:`, error.message);
+    return maxPages;
   }
 }
 
 async function processReply(reply, author, campaign) {
   try {
-    const alreadyHandled = await checkIfCommandProcessed(reply.id);
+    const alreadyHandled = await checkIfCommandProcessed(reply.id) || await hasOpenIntent(reply.id);
     if (alreadyHandled) return;
 
     console.log(`\n📝 [BSC] Processing reply from @${author.username}: "${reply.text.substring(0, 50)}..."`);
@@ -230,7 +463,7 @@ async function processGrantForPayTag(payTag, reply, author, campaign) {
       return;
     }
 
-    const grantAmount = currentCampaign.grant_amount;
+    let grantAmount = currentCampaign.grant_amount;
     const maxParticipants = currentCampaign.max_participants || 999999;
     const currentParticipants = currentCampaign.current_participants || 0;
 
@@ -288,61 +521,159 @@ async function processGrantForPayTag(payTag, reply, author, campaign) {
       return;
     }
 
-    const { fee, netAmount } = await calculateFee(grantAmount);
-    console.log(`      💰 Grant: $${grantAmount} USDT (Net: $${netAmount}, Fee: $${fee})`);
-
-    console.log(`      💸 Executing grant via Router (BSC)...`);
+    // === Eligibility Rules (anti-sybil, see campaignRules.js) ===
+    const ruleFailure = await evaluateCampaignRules({
+      rules: getCampaignRules(currentCampaign),
+      reply,
+      author,
+      targetProfile,
+      isFollowing: authorFollows
+    });
+    
+    if (ruleFailure) {
+      console.log(`      ⏭️ ${ruleFailure.code}: ${ruleFailure.reason}`);
+      await logTransaction({
+        sender_id: process.env.MONIBOT_PROFILE_ID,
+        receiver_id: targetProfile.id,
+        amount: 0,
+        fee: 0,
+        tx_hash: ruleFailure.code,
+        campaign_id: campaign.tweet_id,
+        type: 'grant',
+        tweet_id: reply.id,
+        payer_pay_tag: 'MoniBot',
+        recipient_pay_tag: targetProfile.pay_tag,
+        reason: ruleFailure.reason
+      });
+      return;
+    }
     
+    // === Near-Duplicate Replies (see replySimilarity.js) ===
+    let similarity;
     try {
-      const { hash, fee: actualFee } = await executeGrantViaRouter(
-        targetProfile.wallet_address,
-        grantAmount,
-        campaign.tweet_id
-      );
-      
-      const netAmountReceived = grantAmount - actualFee;
-      
+      similarity = await indexCampaignReply({ campaignId: campaign.tweet_id, reply, author });
+    } catch (indexError) {
+      console.error(`      ❌ Similarity index failed:`, indexError.message);
       await logTransaction({
         sender_id: process.env.MONIBOT_PROFILE_ID,
         receiver_id: targetProfile.id,
-        amount: netAmountReceived,
-        fee: actualFee,
-        tx_hash: hash,
+        amount: 0,
+        fee: 0,
+        tx_hash: 'ERROR_SIMILARITY_CHECK',
         campaign_id: campaign.tweet_id,
         type: 'grant',
         tweet_id: reply.id,
         payer_pay_tag: 'MoniBot',
-        recipient_pay_tag: targetProfile.pay_tag
+        recipient_pay_tag: targetProfile.pay_tag,
+        reason: indexError.message
+      });
+      return;
+    }
+    
+    if (similarity.autoReject) {
+      console.log(`      ⏭️ Reply is one of ${similarity.clusterSize} near-identical replies, rejecting.`);
+      await logTransaction({
+        sender_id: process.env.MONIBOT_PROFILE_ID,
+        receiver_id: targetProfile.id,
+        amount: 0,
+        fee: 0,
+        tx_hash: 'SKIP_SIMILAR_REPLY',
+        campaign_id: campaign.tweet_id,
+        type: 'grant',
+        tweet_id: reply.id,
+        payer_pay_tag: 'MoniBot',
+        recipient_pay_tag: targetProfile.pay_tag,
+        reason: `Cluster ${similarity.clusterId}: ${similarity.clusterSize} near-identical replies`
+      });
+      return;
+    }
+    
+    // === AI-Scored Grants (opt-in per campaign) ===
+    if (currentCampaign.ai_evaluation) {
+      const evaluation = await evaluateCampaignReply({
+        campaignTweet: currentCampaign.message || '',
+        reply: reply.text,
+        replyAuthor: author.username,
+        targetPayTag: targetProfile.pay_tag,
+        isNewUser: isNewProfile(targetProfile),
+        similarReplies: similarity
       });
       
-      await markAsGranted(campaign.tweet_id, targetProfile.id);
-      await incrementCampaignParticipants(campaign.tweet_id, grantAmount);
+      if (evaluation.failed) {
+        await logTransaction({
+          sender_id: process.env.MONIBOT_PROFILE_ID,
+          receiver_id: targetProfile.id,
+          amount: 0,
+          fee: 0,
+          tx_hash: 'ERROR_AI_EVALUATION',
+          campaign_id: campaign.tweet_id,
+          type: 'grant',
+          tweet_id: reply.id,
+          payer_pay_tag: 'MoniBot',
+          recipient_pay_tag: targetProfile.pay_tag,
+          reason: evaluation.reasoning
+        });
+        return;
+      }
+      
+      if (!evaluation.approved || evaluation.amount <= 0) {
+        console.log(`      ⏭️ AI rejected reply for @${payTag}.`);
+        await logTransaction({
+          sender_id: process.env.MONIBOT_PROFILE_ID,
+          receiver_id: targetProfile.id,
+          amount: 0,
+          fee: 0,
+          tx_hash: 'SKIP_AI_REJECTED',
+          campaign_id: campaign.tweet_id,
+          type: 'grant',
+          tweet_id: reply.id,
+          payer_pay_tag: 'MoniBot',
+          recipient_pay_tag: targetProfile.pay_tag,
+          reason: evaluation.reasoning
+        });
+        return;
+      }
+      
+      grantAmount = resolveAiGrantAmount(evaluation.amount, currentCampaign);
+      if (grantAmount <= 0) {
+        console.log(`      ⏰ Campaign budget exhausted before grant to @${payTag}`);
+        await logTransaction({
+          sender_id: process.env.MONIBOT_PROFILE_ID,
+          receiver_id: targetProfile.id,
+          amount: 0,
+          fee: 0,
+          tx_hash: 'LIMIT_REACHED',
+          campaign_id: campaign.tweet_id,
+          type: 'grant',
+          tweet_id: reply.id,
+          payer_pay_tag: 'MoniBot',
+          recipient_pay_tag: targetProfile.pay_tag
+        });
+        return;
+      }
       
-      await syncToMainLedger({
-        senderWalletAddress: MONIBOT_WALLET_ADDRESS,
-        receiverWalletAddress: targetProfile.wallet_address,
-        senderPayTag: 'MoniBot',
-        receiverPayTag: targetProfile.pay_tag,
-        amount: netAmountReceived,
-        fee: actualFee,
-        txHash: hash,
-        monibotType: 'grant',
+      console.log(`      🧠 AI tier approved: $${evaluation.amount} → paying $${grantAmount} USDT`);
+    }
+
+    const { fee, netAmount } = await calculateFee(grantAmount);
+    console.log(`      💰 Grant: $${grantAmount} USDT (Net: $${netAmount}, Fee: $${fee})`);
+
+    console.log(`      💸 Executing grant via Router (BSC)...`);
+    
+    let outcome;
+    
+    try {
+      outcome = await executeGrantWithIntent({
         tweetId: reply.id,
+        receiverProfile: targetProfile,
+        amount: grantAmount,
         campaignId: campaign.tweet_id,
         campaignName: campaign.message?.substring(0, 50) || 'MoniBot BSC Campaign'
       });
-      
-      console.log(`      ✅ Grant Success on BSC! TX: ${hash}`);
-      
     } catch (txError) {
       console.error(`      ❌ Router Error:`, txError.message);
       
-      let errorCode = 'ERROR_BLOCKCHAIN';
-      if (txError.message.includes('ERROR_DUPLICATE_GRANT')) {
-        errorCode = 'ERROR_DUPLICATE_GRANT';
-      } else if (txError.message.includes('ERROR_CONTRACT_BALANCE') || txError.message.includes('insufficient')) {
-        errorCode = 'ERROR_TREASURY_EMPTY';
-      }
+      const errorCode = getGrantErrorCode(txError.message);
       
       await logTransaction({
         sender_id: process.env.MONIBOT_PROFILE_ID,
@@ -350,14 +681,35 @@ async function processGrantForPayTag(payTag, reply, author, campaign) {
         amount: 0, 
         fee: 0, 
         tx_hash: errorCode,
+        campaign_id: campaign.tweet_id,
         type: 'grant', 
         tweet_id: reply.id, 
         payer_pay_tag: 'MoniBot',
         recipient_pay_tag: targetProfile.pay_tag
       });
+      return;
+    }
+    
+    if (outcome) {
+      console.log(`      ✅ Grant Success on BSC! TX: ${outcome.hash}`);
     }
   } catch (error) {
     console.error(`❌ Error processing grant for @${payTag}:`, error.message);
+    if (isAmbiguousProfileError(error)) {
+      await logTransaction({
+        sender_id: process.env.MONIBOT_PROFILE_ID,
+        receiver_id: process.env.MONIBOT_PROFILE_ID,
+        amount: 0,
+        fee: 0,
+        tx_hash: 'ERROR_AMBIGUOUS_PROFILE',
+        campaign_id: campaign.tweet_id,
+        type: 'grant',
+        tweet_id: reply.id,
+        payer_pay_tag: 'MoniBot',
+        recipient_pay_tag: payTag,
+        reason: error.message
+      });
+    }
   }
 }
 
@@ -368,47 +720,56 @@ export async function pollCommands() {
     console.log('💬 [BSC] Polling for P2P commands...');
     
     const searchParams = {
-      query: '@monibot (send OR pay) (usdt OR bnb OR bsc OR binance) -is:retweet',
-      max_results: 50,
-      'tweet.fields': ['author_id', 'created_at', 'referenced_tweets'],
+      query: '@monibot ((send OR pay OR split) (usdt OR bnb OR bsc OR binance) OR subscription OR subscriptions OR request OR (pay is:reply) OR (decline is:reply) OR (cancel pending) OR link OR unlink OR confirm) -is:retweet',
+      max_results: 100,
+      'tweet.fields': ['author_id', 'created_at', 'referenced_tweets', 'entities'],
       'user.fields': ['username'],
       expansions: ['author_id']
     };
 
-    if (lastProcessedTweetId) {
-      searchParams.since_id = lastProcessedTweetId;
+    const { cursor: sinceId } = await getStreamCursor(P2P_STREAM);
+    if (sinceId) {
+      searchParams.since_id = sinceId;
     }
 
-    const mentions = await twitterClient.v2.search(searchParams);
+    const { tweets, users, newestId, pages } = await searchAllPages(searchParams);
     
-    if (!mentions.data?.data) {
+    if (tweets.length === 0) {
       console.log('   No new command mentions found.');
       return;
     }
     
-    console.log(`🔎 Found ${mentions.data.data.length} potential commands.`);
-    lastProcessedTweetId = mentions.data.meta.newest_id;
+    console.log(`🔎 Found ${tweets.length} potential commands (${pages} page(s)).`);
     
-    for (const tweet of mentions.data.data) {
-      const author = mentions.includes?.users?.find(u => u.id === tweet.author_id);
+    for (const tweet of tweets) {
+      const author = users.find(u => u.id === tweet.author_id);
       if (author) await processP2PCommand(tweet, author);
     }
+    
+    // Only move the cursor once the whole batch has been handled, so a
+    // restart mid-batch replays it (dedup makes the replay safe).
+    await advanceStreamCursor(P2P_STREAM, newestId);
   } catch (error) {
     console.error('❌ Error polling commands:', error.message);
   }
 }
 
-async function processP2PCommand(tweet, author) {
+/**
+ * `confirmed` skips the large-payment confirmation step: the command was
+ * confirmed by its sender, or is a retry of one that already ran.
+ */
+async function processP2PCommand(tweet, author, { confirmed = false } = {}) {
   try {
-    const alreadyHandled = await checkIfCommandProcessed(tweet.id);
+    const alreadyHandled = await checkIfCommandProcessed(tweet.id) || await hasOpenIntent(tweet.id);
     if (alreadyHandled) return;
 
+    const command = parseCommand(tweet.text);
+
     // Smart Command Detection: If this is a quote tweet, only process if
-    // the author's own text contains a direct command pattern
+    // the author's own text parses as a command
     const isQuote = tweet.referenced_tweets?.some(r => r.type === 'quoted');
     if (isQuote) {
-      const hasDirectCommand = /(?:send\s+\$?\d|pay\s+@?\w+\s+\$?\d)/i.test(tweet.text);
-      if (!hasDirectCommand) {
+      if (!command.ok) {
         console.log(`   ⏭️ Quote tweet is discussion/announcement, not a command. Skipping.`);
         await logTransaction({
           sender_id: process.env.MONIBOT_PROFILE_ID,
@@ -463,51 +824,129 @@ async function processP2PCommand(tweet, author) {
       return;
     }
     
+    // === Subscription Management ("subscriptions", "cancel subscription #ab12cd") ===
+    const subscriptionCommand = parseSubscriptionCommand(tweet.text);
+    if (subscriptionCommand) {
+      console.log(`   🔁 Subscription command: ${subscriptionCommand.action}`);
+      await handleSubscriptionCommand(subscriptionCommand, tweet, author);
+      return;
+    }
+    
+    // === Pending Transfers ("cancel pending #ab12cd") ===
+    const pendingCancel = parsePendingCancelCommand(tweet.text);
+    if (pendingCancel) {
+      console.log('   🛑 Pending transfer cancel command');
+      await handlePendingCancelCommand(pendingCancel, tweet, author);
+      return;
+    }
+    
+    // === Payment Requests ("request $20 from @alice", "pay request #ab12cd") ===
+    const requestCommand = parseRequestCommand(tweet);
+    if (requestCommand) {
+      console.log(`   🧾 Payment request command: ${requestCommand.action}`);
+      await handleRequestCommand(requestCommand, tweet, author, { confirmed });
+      return;
+    }
+    
+    // === Wallet Linking ("link", "link 0x<wallet> 0x<signature>", "unlink") ===
+    const linkCommand = parseLinkCommand(tweet.text);
+    if (linkCommand) {
+      console.log(`   🔗 Link command: ${linkCommand.action}`);
+      await handleLinkCommand(linkCommand, tweet, author);
+      return;
+    }
+    
+    // === Large-Payment Confirmation ("confirm ab12cd", "confirm above $50") ===
+    const confirmCommand = parseConfirmCommand(tweet.text);
+    if (confirmCommand) {
+      console.log(`   🔐 Confirm command: ${confirmCommand.action}`);
+      const confirmation = await handleConfirmCommand(confirmCommand, tweet, author);
+      if (confirmation) {
+        await runConfirmedCommand(confirmation, author);
+      }
+      return;
+    }
+    
+    // Tweets matched only by the request clauses of the search query carry
+    // no BSC keyword; they belong to the other chains' workers
+    if (!BSC_KEYWORD_REGEX.test(tweet.text) && !/\bsubscriptions?\b/i.test(tweet.text)) {
+      console.log('   ⏭️ No BSC keyword, leaving for the other workers.');
+      return;
+    }
+    
     // === Multi-Recipient Detection ===
     if (isMultiRecipientCommand(tweet.text)) {
       const parsed = parseMultiRecipientCommand(tweet.text);
       if (parsed) {
-        console.log(`   📦 Multi-recipient: $${parsed.amount} each to ${parsed.recipients.length} recipients`);
+        const recipientTags = parsed.recipients.map(r => r.tag).join(',');
+        console.log(`   📦 Multi-recipient (${parsed.mode}): $${parsed.total} to ${parsed.recipients.length} recipients`);
         
-        const senderProfile = await getProfileByXUsername(author.username);
+        const senderProfile = await getProfileByXAuthor(author);
         if (!senderProfile) {
           console.log(`   ❌ Sender @${author.username} not found, logging skip.`);
           await logTransaction({
             sender_id: process.env.MONIBOT_PROFILE_ID,
             receiver_id: process.env.MONIBOT_PROFILE_ID,
-            amount: parsed.amount * parsed.recipients.length,
+            amount: parsed.total,
             fee: 0,
             tx_hash: 'ERROR_SENDER_NOT_FOUND',
             type: 'p2p_command',
             tweet_id: tweet.id,
             payer_pay_tag: author.username,
-            recipient_pay_tag: parsed.recipients.join(',')
+            recipient_pay_tag: recipientTags
           });
           return;
         }
         
-        const { results, summary } = await executeMultiRecipientP2P({
+        const rateDenial = await checkCommandRate(senderProfile, tweet.id);
+        if (rateDenial) {
+          console.log(`   🛑 ${rateDenial.code}: ${rateDenial.reason}`);
+          await logTransaction({
+            sender_id: senderProfile.id,
+            receiver_id: senderProfile.id,
+            amount: parsed.total,
+            fee: 0,
+            tx_hash: rateDenial.code,
+            type: 'p2p_command',
+            tweet_id: tweet.id,
+            payer_pay_tag: senderProfile.pay_tag,
+            recipient_pay_tag: recipientTags,
+            reason: rateDenial.reason
+          });
+          return;
+        }
+        
+        if (!confirmed && await requiresConfirmation(senderProfile, parsed.total)) {
+          await parkForConfirmation({ tweet, author, senderProfile, amount: parsed.total, recipientTag: recipientTags });
+          return;
+        }
+        
+        const { summary, refusal } = await executeMultiRecipientP2P({
           senderProfile,
-          amount: parsed.amount,
-          recipientTags: parsed.recipients,
+          recipients: parsed.recipients,
+          mode: parsed.mode,
+          allOrNothing: parsed.allOrNothing,
           tweetId: tweet.id
         });
         
         console.log(`   📊 Batch result: ${summary.success}/${summary.total} successful`);
         
-        if (summary.success === 0 && results.every(r => !r.hash)) {
-          const reason = results[0]?.reason || 'unknown';
+        // Failed recipients are logged one row each by the batch; a refused
+        // batch gets a single row instead. A re-run would only resume the
+        // finished batch, so this is never retried
+        if (refusal) {
           await logTransaction({
             sender_id: senderProfile.id,
             receiver_id: senderProfile.id,
-            amount: parsed.amount * parsed.recipients.length,
+            amount: parsed.total,
             fee: 0,
-            tx_hash: `ERROR_BATCH_${reason.toUpperCase().replace(/\s+/g, '_')}`,
+            tx_hash: 'ERROR_BATCH_REFUSED',
             type: 'p2p_command',
             tweet_id: tweet.id,
             payer_pay_tag: senderProfile.pay_tag,
-            recipient_pay_tag: parsed.recipients.join(','),
-            status: 'failed'
+            recipient_pay_tag: recipientTags,
+            reason: `Batch ${parsed.mode}: ${refusal}`,
+            retry: false
           });
         }
         
@@ -517,25 +956,14 @@ async function processP2PCommand(tweet, author) {
     
     // === Single Recipient ===
     
-    const sendMatch = tweet.text.match(/send\s+\$?(\d+\.?\d*)\s*(?:usdt|usdc|bnb|bsc)?\s+to\s+@?([a-zA-Z0-9_-]+)/i);
-    const payMatch = tweet.text.match(/pay\s+@?([a-zA-Z0-9_-]+)\s+\$?(\d+\.?\d*)\s*(?:usdt|usdc|bnb|bsc)?/i);
-    
-    let amount, targetPayTag;
-    
-    if (sendMatch) {
-      amount = parseFloat(sendMatch[1]);
-      targetPayTag = sendMatch[2].toLowerCase();
-    } else if (payMatch) {
-      amount = parseFloat(payMatch[2]);
-      targetPayTag = payMatch[1].toLowerCase();
-    } else {
-      console.log('   ⏭️ Could not parse command syntax, logging skip.');
+    if (!command.ok) {
+      console.log(`   ⏭️ Could not parse command (${command.reason}), logging skip.`);
       await logTransaction({
         sender_id: process.env.MONIBOT_PROFILE_ID,
         receiver_id: process.env.MONIBOT_PROFILE_ID,
         amount: 0,
         fee: 0,
-        tx_hash: 'SKIP_INVALID_SYNTAX',
+        tx_hash: command.reason,
         type: 'p2p_command',
         tweet_id: tweet.id,
         payer_pay_tag: author.username,
@@ -544,9 +972,12 @@ async function processP2PCommand(tweet, author) {
       return;
     }
     
+    const amount = command.amount;
+    const targetPayTag = command.recipients[0].tag;
+    
     console.log(`   💰 Amount: $${amount} USDT | Target: @${targetPayTag}`);
 
-    const senderProfile = await getProfileByXUsername(author.username);
+    const senderProfile = await getProfileByXAuthor(author);
     if (!senderProfile) {
       console.log(`   ❌ Sender @${author.username} not found/verified, logging skip.`);
       await logTransaction({
@@ -563,6 +994,99 @@ async function processP2PCommand(tweet, author) {
       return;
     }
     
+    const rateDenial = await checkCommandRate(senderProfile, tweet.id);
+    if (rateDenial) {
+      console.log(`   🛑 ${rateDenial.code}: ${rateDenial.reason}`);
+      await logTransaction({
+        sender_id: senderProfile.id,
+        receiver_id: senderProfile.id,
+        amount: amount,
+        fee: 0,
+        tx_hash: rateDenial.code,
+        type: 'p2p_command',
+        tweet_id: tweet.id,
+        payer_pay_tag: senderProfile.pay_tag,
+        recipient_pay_tag: targetPayTag,
+        reason: rateDenial.reason
+      });
+      return;
+    }
+    
+    // Scheduled and recurring payments are confirmed when they are set up
+    // (a subscription compares its per-payment amount)
+    if (!confirmed && await requiresConfirmation(senderProfile, amount)) {
+      await parkForConfirmation({ tweet, author, senderProfile, amount, recipientTag: targetPayTag });
+      return;
+    }
+    
+    // === Recurring ("... every friday") / Scheduled ("... tomorrow at 9am") P2P ===
+    // Recurrence is checked first: "every friday at 9am" also carries a time cue
+    const isRecurring = hasRecurrence(tweet.text);
+    const timePhrase = isRecurring ? null : command.timePhrase;
+    if (isRecurring || timePhrase) {
+      console.log(isRecurring ? '   🔁 Recurrence detected' : `   📅 Time phrase detected: "${timePhrase}"`);
+      
+      const scheduledReceiver = await getProfileByMonitag(targetPayTag) || await getProfileByXUsername(targetPayTag);
+      if (!scheduledReceiver) {
+        console.log(`   ❌ Target @${targetPayTag} not found in MoniPay.`);
+        await logTransaction({
+          sender_id: senderProfile.id,
+          receiver_id: senderProfile.id,
+          amount: amount,
+          fee: 0,
+          tx_hash: 'ERROR_TARGET_NOT_FOUND',
+          type: 'p2p_command',
+          tweet_id: tweet.id,
+          payer_pay_tag: senderProfile.pay_tag,
+          recipient_pay_tag: targetPayTag
+        });
+        return;
+      }
+      
+      // Limits are checked again when each payment runs (a subscription's
+      // per-payment amount here)
+      const [scheduleDenial] = await checkSpendingLimits({
+        senderProfile,
+        payments: [{ receiverProfile: scheduledReceiver, amount }]
+      });
+      if (scheduleDenial) {
+        console.log(`   🛑 ${scheduleDenial.code}: ${scheduleDenial.reason}`);
+        await logTransaction({
+          sender_id: senderProfile.id,
+          receiver_id: scheduledReceiver.id,
+          amount: amount,
+          fee: 0,
+          tx_hash: scheduleDenial.code,
+          type: 'p2p_command',
+          tweet_id: tweet.id,
+          payer_pay_tag: senderProfile.pay_tag,
+          recipient_pay_tag: scheduledReceiver.pay_tag,
+          reason: scheduleDenial.reason
+        });
+        return;
+      }
+      
+      if (isRecurring) {
+        await createSubscription({
+          tweet,
+          author,
+          senderProfile,
+          receiverProfile: scheduledReceiver,
+          amount
+        });
+      } else {
+        await scheduleP2PPayment({
+          tweet,
+          author,
+          senderProfile,
+          receiverProfile: scheduledReceiver,
+          amount,
+          timePhrase
+        });
+      }
+      return;
+    }
+    
     const { fee, netAmount } = await calculateFee(amount);
     console.log(`   📊 Gross: $${amount} | Net: $${netAmount} | Fee: $${fee} USDT`);
 
@@ -576,6 +1100,7 @@ async function processP2PCommand(tweet, author) {
         console.log(`   🔀 Cross-chain routing: Base has $${baseCheck.balance} USDC, allowance $${baseCheck.allowance}. Deferring to Base worker.`);
         await createScheduledJob({
           type: 'cross_chain_p2p',
+          chain: 'base',
           scheduledAt: new Date(),
           payload: {
             chain: 'base',
@@ -629,6 +1154,7 @@ async function processP2PCommand(tweet, author) {
         console.log(`   🔀 Cross-chain routing: Base has $${baseCheck2.balance} USDC, allowance $${baseCheck2.allowance}. Deferring to Base worker.`);
         await createScheduledJob({
           type: 'cross_chain_p2p',
+          chain: 'base',
           scheduledAt: new Date(),
           payload: {
             chain: 'base',
@@ -673,71 +1199,51 @@ async function processP2PCommand(tweet, author) {
     }
     
     let receiverProfile = await getProfileByMonitag(targetPayTag) || await getProfileByXUsername(targetPayTag);
-    if (!receiverProfile) {
-      console.log(`   ❌ Target @${targetPayTag} not found in MoniPay.`);
+    
+    // === Spending Limits (see spendingPolicy.js) ===
+    const [limitDenial] = await checkSpendingLimits({
+      senderProfile,
+      payments: [{ receiverProfile, amount }]
+    });
+    if (limitDenial) {
+      console.log(`   🛑 ${limitDenial.code}: ${limitDenial.reason}`);
       await logTransaction({
         sender_id: senderProfile.id,
-        receiver_id: senderProfile.id,
-        amount: amount, 
-        fee: fee, 
-        tx_hash: 'ERROR_TARGET_NOT_FOUND',
-        type: 'p2p_command', 
-        tweet_id: tweet.id, 
+        receiver_id: receiverProfile?.id || senderProfile.id,
+        amount: amount,
+        fee: 0,
+        tx_hash: limitDenial.code,
+        type: 'p2p_command',
+        tweet_id: tweet.id,
         payer_pay_tag: senderProfile.pay_tag,
-        recipient_pay_tag: targetPayTag
+        recipient_pay_tag: receiverProfile?.pay_tag || targetPayTag,
+        reason: limitDenial.reason
       });
       return;
     }
     
+    if (!receiverProfile) {
+      // Funds stay with the sender until @handle joins MoniPay and verifies X
+      console.log(`   ⏳ Target @${targetPayTag} not on MoniPay yet, holding as a pending transfer.`);
+      await createPendingTransfer({ tweet, senderProfile, handle: targetPayTag, amount });
+      return;
+    }
+    
     console.log(`   💸 Executing P2P on BSC: ${senderProfile.pay_tag} -> ${targetPayTag}`);
     
+    let outcome;
+    
     try {
-      const { hash, fee: actualFee } = await executeP2PViaRouter(
-        senderProfile.wallet_address,
-        receiverProfile.wallet_address,
-        amount,
-        tweet.id
-      );
-
-      const netAmountReceived = amount - actualFee;
-
-      await logTransaction({
-        sender_id: senderProfile.id,
-        receiver_id: receiverProfile.id,
-        amount: netAmountReceived,
-        fee: actualFee,
-        tx_hash: hash,
-        type: 'p2p_command',
-        tweet_id: tweet.id,
-        payer_pay_tag: senderProfile.pay_tag,
-        recipient_pay_tag: receiverProfile.pay_tag
-      });
-      
-      await syncToMainLedger({
-        senderWalletAddress: senderProfile.wallet_address,
-        receiverWalletAddress: receiverProfile.wallet_address,
-        senderPayTag: senderProfile.pay_tag,
-        receiverPayTag: receiverProfile.pay_tag,
-        amount: netAmountReceived,
-        fee: actualFee,
-        txHash: hash,
-        monibotType: 'p2p',
-        tweetId: tweet.id
+      outcome = await executeP2PWithIntent({
+        tweetId: tweet.id,
+        senderProfile,
+        receiverProfile,
+        amount
       });
-      
-      console.log(`   ✅ P2P Success on BSC! TX: ${hash}`);
-      
     } catch (txError) {
       console.error(`   ❌ Router Error:`, txError.message);
       
-      let errorCode = 'ERROR_BLOCKCHAIN';
-      if (txError.message.includes('ERROR_DUPLICATE_TWEET')) {
-        errorCode = 'ERROR_DUPLICATE_TWEET';
-      } else if (txError.message.includes('ERROR_BALANCE')) {
-        errorCode = 'ERROR_BALANCE';
-      } else if (txError.message.includes('ERROR_ALLOWANCE')) {
-        errorCode = 'ERROR_ALLOWANCE';
-      }
+      const errorCode = getP2PErrorCode(txError.message);
       
       await logTransaction({
         sender_id: senderProfile.id,
@@ -750,8 +1256,159 @@ async function processP2PCommand(tweet, author) {
         payer_pay_tag: senderProfile.pay_tag,
         recipient_pay_tag: receiverProfile.pay_tag
       });
+      return;
+    }
+    
+    if (outcome) {
+      console.log(`   ✅ P2P Success on BSC! TX: ${outcome.hash}`);
     }
   } catch (error) {
     console.error('❌ Error in processP2PCommand:', error.message);
+    if (isAmbiguousProfileError(error)) {
+      await logTransaction({
+        sender_id: process.env.MONIBOT_PROFILE_ID,
+        receiver_id: process.env.MONIBOT_PROFILE_ID,
+        amount: 0,
+        fee: 0,
+        tx_hash: 'ERROR_AMBIGUOUS_PROFILE',
+        type: 'p2p_command',
+        tweet_id: tweet.id,
+        payer_pay_tag: author.username,
+        recipient_pay_tag: null,
+        reason: error.message
+      });
+    }
+  }
+}
+
+// ============ Loop 3: Retry Queue ============
+
+/**
+ * Re-run commands whose last attempt hit a retryable failure (see
+ * retryPolicy.js). Funds are re-validated first, so an unchanged shortfall
+ * only costs a reschedule rather than a Twitter lookup and a router call.
+ */
+export async function pollRetries() {
+  try {
+    const dueRetries = await getDueRetries();
+    
+    if (dueRetries.length === 0) {
+      return;
+    }
+    
+    console.log(`🔁 [BSC] ${dueRetries.length} failed command(s) due for retry`);
+    
+    for (const row of dueRetries) {
+      const claimed = await claimRetry(row);
+      if (!claimed) continue;
+      
+      await retryCommand(claimed);
+    }
+  } catch (error) {
+    console.error('❌ Error polling retries:', error.message);
   }
 }
+
+async function retryCommand(row) {
+  try {
+    console.log(`\n🔁 [BSC] Retrying ${row.type} for tweet ${row.tweet_id} after ${row.tx_hash} (retry ${(row.retry_count || 0) + 1}/${MAX_RETRY_ATTEMPTS})`);
+    
+    let campaign = null;
+    if (row.type === 'grant') {
+      if (!row.campaign_id) {
+        await failRetry(row, 'ERROR_CAMPAIGN_UNKNOWN');
+        return;
+      }
+      campaign = await getCampaignByTweetId(row.campaign_id) || { tweet_id: row.campaign_id };
+    }
+    
+    const shortfall = await revalidateFunds(row, campaign);
+    if (shortfall) {
+      const nextRetryAt = await rescheduleRetry(row, shortfall);
+      console.log(nextRetryAt
+        ? `   ⏳ Still ${shortfall}, next retry at ${nextRetryAt.toISOString()}`
+        : `   ❌ Still ${shortfall}, retries exhausted`);
+      return;
+    }
+    
+    const lookup = await twitterClient.v2.singleTweet(row.tweet_id, {
+      'tweet.fields': ['author_id', 'created_at', 'referenced_tweets', 'entities'],
+      'user.fields': REPLY_AUTHOR_FIELDS,
+      expansions: ['author_id']
+    });
+    
+    const tweet = lookup.data;
+    const author = lookup.includes?.users?.find(u => u.id === tweet?.author_id);
+    if (!tweet || !author) {
+      console.log(`   ⏭️ Tweet ${row.tweet_id} is no longer available, giving up.`);
+      await failRetry(row, 'ERROR_TWEET_UNAVAILABLE');
+      return;
+    }
+    
+    // The re-run logs its own outcome row; this one stops counting as "handled"
+    if (!(await markRetrySuperseded(row.id))) return;
+    
+    if (row.type === 'grant') {
+      await processReply(tweet, author, campaign);
+    } else {
+      // The failed attempt already got past any confirmation step
+      await processP2PCommand(tweet, author, { confirmed: true });
+    }
+  } catch (error) {
+    // Row stays 'retrying'; getDueRetries picks it up again once the claim times out
+    console.error(`❌ Error retrying tweet ${row.tweet_id}:`, error.message);
+  }
+}
+
+/**
+ * Pre-attempt check that the condition behind a retry has cleared.
+ * Returns the blocking error code, or null when the attempt should run.
+ */
+async function revalidateFunds(row, campaign) {
+  if (row.type === 'grant') {
+    if (row.tx_hash !== 'ERROR_TREASURY_EMPTY') return null;
+    
+    const treasury = await getUSDTBalance(MONIBOT_ROUTER_ADDRESS);
+    const needed = campaign?.grant_amount || 0;
+    return treasury > 0 && treasury >= needed ? null : 'ERROR_TREASURY_EMPTY';
+  }
+  
+  const senderProfile = await getProfileById(row.sender_id);
+  if (!senderProfile?.wallet_address || !row.amount) return null;
+  
+  const [balance, allowance] = await Promise.all([
+    getUSDTBalance(senderProfile.wallet_address),
+    getOnchainAllowance(senderProfile.wallet_address)
+  ]);
+  
+  if (balance < row.amount) return 'ERROR_BALANCE';
+  if (allowance < row.amount) return 'ERROR_ALLOWANCE';
+  return null;
+}
+
+// ============ Loop 4: Confirmed Commands ============
+
+/**
+ * Re-run a command its sender confirmed, closing the confirmation once the
+ * command has an outcome. Otherwise it stays 'confirmed' for the redrive.
+ */
+async function runConfirmedCommand(confirmation, author) {
+  await processP2PCommand(confirmation.tweet, author, { confirmed: true });
+  
+  if (await checkIfCommandProcessed(confirmation.tweet_id) || await hasOpenIntent(confirmation.tweet_id)) {
+    await markConfirmationExecuted(confirmation);
+  }
+}
+
+/**
+ * Re-drive confirmed commands a stopped worker (or a failed write) left
+ * without an outcome. Runs in the recovery pass, after expireConfirmations.
+ */
+export async function redriveConfirmedCommands() {
+  await redriveConfirmations(async (confirmation) => {
+    // Only this X account id could confirm; the handle is just for logs
+    const senderProfile = await getProfileById(confirmation.sender_id);
+    const author = { id: confirmation.x_user_id, username: senderProfile?.x_username || confirmation.x_user_id };
+    await runConfirmedCommand(confirmation, author);
+  });
+}
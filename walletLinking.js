@@ -0,0 +1,351 @@
+/**
+ * MoniBot BSC Worker - Wallet Linking
+ *
+ * Lets a MoniPay user without x_verified link their X account from a tweet:
+ *
+ *   1. "@monibot link"                        → a nonce challenge is issued
+ *   2. "@monibot link <wallet> <signature>"   → the signature is checked
+ *
+ * The user signs the challenge with the wallet on their MoniPay profile,
+ * either as a personal message (EIP-191) or as typed data (EIP-712, see
+ * buildLinkTypedData). Both are verified offline with viem. On success the
+ * profile gets x_user_id / x_username and x_verified = true, and every link
+ * and unlink ("@monibot unlink") is written to monibot_link_audit.
+ *
+ * Unlinking is refused for LINK_UNLINK_COOLDOWN_HOURS after a link, and
+ * linking for LINK_RELINK_COOLDOWN_HOURS after an unlink.
+ */
+
+import { randomBytes } from 'crypto';
+import { verifyMessage, verifyTypedData, isAddress, isHex } from 'viem';
+import { bsc } from 'viem/chains';
+import {
+  getSupabase,
+  getProfileByWallet,
+  getProfileByXUserId,
+  isAmbiguousProfileError,
+  logTransaction
+} from './database.js';
+
+const CHALLENGES_TABLE = 'monibot_link_challenges';
+const AUDIT_TABLE = 'monibot_link_audit';
+
+const CHALLENGE_TTL_MS = 30 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const UNLINK_COOLDOWN_MS = (parseInt(process.env.LINK_UNLINK_COOLDOWN_HOURS) || 24) * HOUR_MS;
+const RELINK_COOLDOWN_MS = (parseInt(process.env.LINK_RELINK_COOLDOWN_HOURS) || 24) * HOUR_MS;
+
+/**
+ * Text the user signs for EIP-191 (personal_sign).
+ */
+export function buildLinkMessage(xUserId, nonce) {
+  return `Link X account ${xUserId} to MoniBot on BSC. Nonce: ${nonce}`;
+}
+
+/**
+ * EIP-712 form of the same challenge.
+ */
+export function buildLinkTypedData(xUserId, nonce) {
+  return {
+    domain: { name: 'MoniBot', version: '1', chainId: bsc.id },
+    types: {
+      Link: [
+        { name: 'xUserId', type: 'string' },
+        { name: 'nonce', type: 'string' }
+      ]
+    },
+    primaryType: 'Link',
+    message: { xUserId: String(xUserId), nonce }
+  };
+}
+
+/**
+ * True when `signature` is the wallet's EIP-191 or EIP-712 signature of the
+ * challenge.
+ */
+export async function verifyLinkSignature({ address, signature, xUserId, nonce }) {
+  try {
+    if (await verifyMessage({ address, message: buildLinkMessage(xUserId, nonce), signature })) {
+      return true;
+    }
+  } catch {
+    // Not a valid personal_sign signature; try the typed-data form
+  }
+
+  try {
+    return await verifyTypedData({ address, signature, ...buildLinkTypedData(xUserId, nonce) });
+  } catch {
+    return false;
+  }
+}
+
+// ============ Command Parsing ============
+
+/**
+ * Recognise "@monibot link", "@monibot link <0x wallet> <0x signature>" and
+ * "@monibot unlink".
+ *
+ * @returns {{action: 'challenge'}|{action: 'verify', address: string, signature: string}|{action: 'unlink'}|null}
+ */
+export function parseLinkCommand(text) {
+  if (/@monibot\s+unlink\b/i.test(text)) {
+    return { action: 'unlink' };
+  }
+
+  const match = text.match(/@monibot\s+link\b(?:\s+(0x[0-9a-fA-F]{40})\s+(0x[0-9a-fA-F]+))?/i);
+  if (!match) return null;
+
+  if (match[1]) {
+    return { action: 'verify', address: match[1], signature: match[2] };
+  }
+  return { action: 'challenge' };
+}
+
+// ============ Audit & Cooldowns ============
+
+async function getLastAudit(column, value) {
+  const supabase = getSupabase();
+
+  const { data, error } = await supabase
+    .from(AUDIT_TABLE)
+    .select('*')
+    .eq(column, value)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to read link audit: ${error.message}`);
+  }
+  return data[0] || null;
+}
+
+async function writeAudit(entry) {
+  const supabase = getSupabase();
+
+  const { error } = await supabase
+    .from(AUDIT_TABLE)
+    .insert({ ...entry, chain: 'BSC', created_at: new Date().toISOString() });
+
+  if (error) {
+    console.error('❌ Failed to write link audit:', error.message);
+  }
+}
+
+// Milliseconds left on a cooldown that started with the last `action`, or 0
+function getCooldownLeft(lastAudit, action, cooldownMs) {
+  if (!lastAudit || lastAudit.action !== action) return 0;
+  return Math.max(0, new Date(lastAudit.created_at).getTime() + cooldownMs - Date.now());
+}
+
+async function logLinkOutcome({ tweet, author, profile, code, reason }) {
+  await logTransaction({
+    sender_id: profile?.id || process.env.MONIBOT_PROFILE_ID,
+    receiver_id: profile?.id || process.env.MONIBOT_PROFILE_ID,
+    amount: 0,
+    fee: 0,
+    tx_hash: code,
+    type: 'link_command',
+    tweet_id: tweet.id,
+    payer_pay_tag: author.username,
+    recipient_pay_tag: profile?.pay_tag || null,
+    reason
+  });
+}
+
+// ============ Link ============
+
+async function issueChallenge(tweet, author) {
+  const nonce = randomBytes(8).toString('hex');
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MS);
+  const supabase = getSupabase();
+
+  const { error } = await supabase
+    .from(CHALLENGES_TABLE)
+    .insert({
+      chain: 'BSC',
+      x_user_id: String(author.id),
+      x_username: author.username,
+      nonce,
+      status: 'pending',
+      tweet_id: tweet.id,
+      expires_at: expiresAt.toISOString(),
+      created_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.error('❌ Failed to create link challenge:', error.message);
+    throw error;
+  }
+
+  console.log(`   🔐 Link challenge for @${author.username} (expires ${expiresAt.toISOString()})`);
+  await logLinkOutcome({
+    tweet, author,
+    code: 'LINK_CHALLENGE',
+    reason: buildLinkMessage(author.id, nonce)
+  });
+}
+
+async function getOpenChallenge(xUserId) {
+  const supabase = getSupabase();
+
+  const { data, error } = await supabase
+    .from(CHALLENGES_TABLE)
+    .select('*')
+    .eq('chain', 'BSC')
+    .eq('x_user_id', String(xUserId))
+    .eq('status', 'pending')
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    console.error('❌ Failed to load link challenge:', error.message);
+    return null;
+  }
+  return data[0] || null;
+}
+
+async function verifyAndLink(command, tweet, author) {
+  const challenge = await getOpenChallenge(author.id);
+  if (!challenge) {
+    await logLinkOutcome({ tweet, author, code: 'ERROR_LINK_NO_CHALLENGE' });
+    return;
+  }
+
+  const { address, signature } = command;
+  const valid = isAddress(address) && isHex(signature) &&
+    await verifyLinkSignature({ address, signature, xUserId: author.id, nonce: challenge.nonce });
+
+  if (!valid) {
+    console.log(`   ❌ Link signature from @${author.username} does not match ${address}`);
+    await logLinkOutcome({ tweet, author, code: 'ERROR_LINK_SIGNATURE' });
+    return;
+  }
+
+  const profile = await getProfileByWallet(address);
+  if (!profile) {
+    await logLinkOutcome({ tweet, author, code: 'ERROR_LINK_WALLET_NOT_FOUND', reason: address });
+    return;
+  }
+
+  const linked = await getProfileByXUserId(author.id);
+  if (linked && linked.id !== profile.id) {
+    await logLinkOutcome({ tweet, author, profile, code: 'ERROR_LINK_CONFLICT', reason: `X account already linked to @${linked.pay_tag}` });
+    return;
+  }
+  if (profile.x_verified && profile.x_user_id && profile.x_user_id !== String(author.id)) {
+    await logLinkOutcome({ tweet, author, profile, code: 'ERROR_LINK_CONFLICT', reason: `@${profile.pay_tag} is linked to another X account` });
+    return;
+  }
+
+  const cooldownLeft = Math.max(
+    getCooldownLeft(await getLastAudit('profile_id', profile.id), 'unlink', RELINK_COOLDOWN_MS),
+    getCooldownLeft(await getLastAudit('x_user_id', String(author.id)), 'unlink', RELINK_COOLDOWN_MS)
+  );
+  if (cooldownLeft > 0) {
+    await logLinkOutcome({ tweet, author, profile, code: 'ERROR_LINK_COOLDOWN', reason: `Linking reopens in ${Math.ceil(cooldownLeft / HOUR_MS)}h` });
+    return;
+  }
+
+  const supabase = getSupabase();
+
+  // Spend the challenge first: a signature can only ever link once
+  const { data: spent } = await supabase
+    .from(CHALLENGES_TABLE)
+    .update({ status: 'used', used_at: new Date().toISOString() })
+    .eq('id', challenge.id)
+    .eq('status', 'pending')
+    .select('id');
+
+  if (!spent?.length) {
+    await logLinkOutcome({ tweet, author, code: 'ERROR_LINK_NO_CHALLENGE' });
+    return;
+  }
+
+  const { error } = await supabase
+    .from('profiles')
+    .update({
+      x_user_id: String(author.id),
+      x_username: author.username,
+      x_verified: true
+    })
+    .eq('id', profile.id);
+
+  if (error) {
+    throw new Error(`Failed to link profile ${profile.id}: ${error.message}`);
+  }
+
+  await writeAudit({
+    action: 'link',
+    profile_id: profile.id,
+    x_user_id: String(author.id),
+    x_username: author.username,
+    wallet_address: address,
+    challenge_id: challenge.id,
+    signature,
+    tweet_id: tweet.id
+  });
+
+  console.log(`   🔗 Linked @${author.username} (${author.id}) to @${profile.pay_tag}`);
+  await logLinkOutcome({ tweet, author, profile, code: 'WALLET_LINKED' });
+}
+
+// ============ Unlink ============
+
+async function unlink(tweet, author) {
+  const profile = await getProfileByXUserId(author.id);
+  if (!profile) {
+    await logLinkOutcome({ tweet, author, code: 'ERROR_NOT_LINKED' });
+    return;
+  }
+
+  const cooldownLeft = getCooldownLeft(await getLastAudit('profile_id', profile.id), 'link', UNLINK_COOLDOWN_MS);
+  if (cooldownLeft > 0) {
+    await logLinkOutcome({ tweet, author, profile, code: 'ERROR_LINK_COOLDOWN', reason: `Unlinking reopens in ${Math.ceil(cooldownLeft / HOUR_MS)}h` });
+    return;
+  }
+
+  const supabase = getSupabase();
+
+  const { error } = await supabase
+    .from('profiles')
+    .update({ x_user_id: null, x_verified: false })
+    .eq('id', profile.id);
+
+  if (error) {
+    throw new Error(`Failed to unlink profile ${profile.id}: ${error.message}`);
+  }
+
+  await writeAudit({
+    action: 'unlink',
+    profile_id: profile.id,
+    x_user_id: String(author.id),
+    x_username: author.username,
+    wallet_address: profile.wallet_address,
+    tweet_id: tweet.id
+  });
+
+  console.log(`   ✂️ Unlinked @${author.username} from @${profile.pay_tag}`);
+  await logLinkOutcome({ tweet, author, profile, code: 'WALLET_UNLINKED' });
+}
+
+/**
+ * Issue a challenge, verify a signed one, or unlink. Every outcome is logged
+ * with type 'link_command'.
+ */
+export async function handleLinkCommand(command, tweet, author) {
+  try {
+    if (command.action === 'challenge') {
+      await issueChallenge(tweet, author);
+    } else if (command.action === 'verify') {
+      await verifyAndLink(command, tweet, author);
+    } else {
+      await unlink(tweet, author);
+    }
+  } catch (error) {
+    // Profiles are resolved before a challenge is spent or a profile changed
+    if (!isAmbiguousProfileError(error)) throw error;
+    console.log(`   ❌ ${error.message}`);
+    await logLinkOutcome({ tweet, author, code: 'ERROR_AMBIGUOUS_PROFILE', reason: error.message });
+  }
+}